@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool printing package details with the same sources and format placeholders as the
+ * browser script, e.g. `get-details bootstrap --format "%name %version"`. Run `get-details --help`.
+ *
+ * Exit codes: 0 on success, 1 when loading fails, 2 on invalid usage, 3 when a package is not found
+ * and 4 when a rate limit is hit. With several packages, the first failure sets the exit code.
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import getDetails, { GetDetailsError } from '../src/core.js';
+
+const USAGE = `Usage: get-details [options] <package...>
+
+Prints package details. Packages may include a version spec, e.g. bootstrap@^4 or owner/repo@beta.
+
+Options:
+  -s, --source <name>     npm (default), pypi, github or gitlab; add ":<url>" for a self-hosted API
+  -f, --format <format>   Format with %placeholders, e.g. "%name %version (%license)"; the version by default
+  -j, --json              Print the normalized data as JSON
+  -i, --input <file>      Read packages from a file, one per line; "-" reads standard input
+  -p, --prerelease        Allow pre-release versions
+  -r, --releases <count>  Include past GitHub and GitLab releases, for %*releases[...] and --json
+  -t, --token <token>     API token for the source; GITHUB_TOKEN and GITLAB_TOKEN are read by default
+      --locale <locale>   Locale for dates and numbers, e.g. de-DE
+      --time-zone <zone>  Time zone for dates, e.g. UTC
+      --date-style <style>    numeric, short, medium, long, full, relative or a pattern such as YYYY-MM-DD
+      --number-style <style>  standard, compact or raw
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Exit codes: 0 success, 1 failure, 2 invalid usage, 3 not found, 4 rate limited.
+`;
+
+const OPTIONS = {
+  source: { type: 'string', short: 's', default: 'npm' },
+  format: { type: 'string', short: 'f' },
+  json: { type: 'boolean', short: 'j', default: false },
+  input: { type: 'string', short: 'i' },
+  prerelease: { type: 'boolean', short: 'p', default: false },
+  releases: { type: 'string', short: 'r' },
+  token: { type: 'string', short: 't' },
+  locale: { type: 'string' },
+  'time-zone': { type: 'string' },
+  'date-style': { type: 'string' },
+  'number-style': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false }
+};
+
+const EXIT_CODES = { failure: 1, usage: 2, 'not-found': 3, 'rate-limited': 4 };
+
+/**
+ * Reads package names from a file, one per line. Blank lines and lines starting with "#" are skipped.
+ *
+ * @param {string} file - File path, or "-" for standard input.
+ * @returns {Array<string>} - Package names.
+ */
+const readPackages = (file) => readFileSync(file === '-' ? 0 : file, 'utf8')
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !line.startsWith('#'));
+
+/**
+ * Describes a failure for standard error, including when a rate limit resets.
+ *
+ * @param {string} pkg - The package that failed.
+ * @param {Error} error - The failure.
+ * @returns {string} - The message.
+ */
+const describeError = (pkg, error) => {
+  const reset = error.resetAt ? ` (resets at ${error.resetAt.toISOString()})` : '';
+  return `get-details: ${pkg}: ${error.message}${reset}`;
+};
+
+/**
+ * Loads the details of one package.
+ *
+ * @param {string} pkg - Package name, optionally with a version spec.
+ * @param {Object} values - Parsed command-line options.
+ * @returns {Promise<Object>} - `{ pkg, data }` on success or `{ pkg, error }` on failure.
+ */
+const load = async (pkg, values) => {
+  try {
+    const data = await getDetails.fetch(values.source, pkg, { prerelease: values.prerelease, releases: values.releases, token: values.token });
+    return { pkg, data };
+  } catch (error) {
+    return { pkg, error };
+  }
+};
+
+/**
+ * Runs the command.
+ *
+ * @param {Array<string>} args - Command-line arguments without the node executable and script path.
+ * @returns {Promise<number>} - The exit code.
+ */
+const run = async (args) => {
+  let values;
+  let packages;
+  try {
+    ({ values, positionals: packages } = parseArgs({ args, options: OPTIONS, allowPositionals: true }));
+    if (values.input) {
+      packages = [...packages, ...readPackages(values.input)];
+    }
+  } catch (error) {
+    console.error(`get-details: ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (values.version) {
+    const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    console.log(version);
+    return 0;
+  }
+  if (!packages.length) {
+    console.error(`get-details: No package given\n\n${USAGE}`);
+    return EXIT_CODES.usage;
+  }
+
+  // Tokens from the environment stay out of the process list, unlike --token. They are only sent to
+  // configured base URLs, so a self-hosted API given with --source is configured too.
+  const [sourceName, baseUrl] = values.source.split(/:(.*)/);
+  getDetails.configure({
+    baseUrls: baseUrl ? { [sourceName]: baseUrl } : {},
+    tokens: { github: process.env.GITHUB_TOKEN, gitlab: process.env.GITLAB_TOKEN }
+  });
+
+  // Braces are optional, so formats can be copied from data-get-details attributes
+  const format = getDetails.unwrapFormat(values.format);
+  const renderOptions = {
+    // Without a self-hosted API URL, for the source's custom placeholders
+    source: sourceName,
+    escape: false,
+    locale: values.locale,
+    timeZone: values['time-zone'],
+    dateStyle: values['date-style'],
+    numberStyle: values['number-style']
+  };
+
+  const results = await Promise.all(packages.map(pkg => load(pkg, values)));
+  let exitCode = 0;
+
+  for (const { pkg, error } of results) {
+    if (error) {
+      console.error(describeError(pkg, error));
+      exitCode = exitCode || (error instanceof GetDetailsError && EXIT_CODES[error.type]) || EXIT_CODES.failure;
+    }
+  }
+
+  if (values.json) {
+    // One package prints its data; several print an entry per package, in order
+    const output = packages.length === 1 && !values.input
+      ? results[0].data
+      : results.map(({ pkg, data, error }) => (error ? { package: pkg, error: { type: error.type, message: error.message } } : { package: pkg, data }));
+    if (output) {
+      console.log(JSON.stringify(output, null, 2));
+    }
+    return exitCode;
+  }
+
+  for (const { data } of results) {
+    if (data) {
+      console.log(getDetails.render(data, format, renderOptions));
+    }
+  }
+  return exitCode;
+};
+
+process.exitCode = await run(process.argv.slice(2));
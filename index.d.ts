@@ -0,0 +1,407 @@
+/**
+ * Type declarations for get-details, shared by the ES module (es.js), the CommonJS module (index.cjs)
+ * and the `window.getDetails` global of the browser script (index.js).
+ */
+
+/** Why loading package data failed, see GetDetailsError. */
+export type GetDetailsErrorType = 'not-found' | 'rate-limited' | 'network' | 'parse' | 'http' | 'unsupported' | 'config';
+
+/** Error thrown when package data cannot be loaded. */
+export declare class GetDetailsError extends Error {
+  constructor(type: GetDetailsErrorType, message: string, details?: { status?: number; resetAt?: Date | null; cause?: unknown });
+  name: 'GetDetailsError';
+  type: GetDetailsErrorType;
+  /** HTTP status of the failed response. */
+  status?: number;
+  /** When a rate limit resets, if the API tells. */
+  resetAt: Date | null;
+}
+
+/** Normalized package data. Sources may add their own fields. */
+export interface PackageData {
+  version?: string;
+  name?: string;
+  description?: string;
+  homepage?: string;
+  author?: string;
+  license?: string;
+  /** ISO 8601 date. */
+  lastUpdate?: string;
+  stars?: number;
+  forks?: number;
+  language?: string;
+  repository?: string;
+  maintainers?: string;
+  downloads?: { lastWeek?: number; lastMonth?: number; total?: number };
+  /** ISO 8601 date. */
+  releaseDate?: string;
+  /** Markdown. */
+  releaseNotes?: string;
+  /** GitHub and GitLab: release page, or the tag page for repositories without releases. */
+  releaseUrl?: string;
+  releaseAuthor?: string;
+  /** GitHub and GitLab: downloadable files of the release. */
+  assets?: ReleaseAsset[];
+  /** GitHub and GitLab: past releases, newest first, when the `releases` option is set. */
+  releases?: Release[];
+  owner?: string;
+  requiresPython?: string;
+  /** npm: deprecation message. */
+  deprecated?: string;
+  /** npm: required engines keyed by name, e.g. `{ node: '>=18' }`. */
+  engines?: Record<string, string>;
+  /** npm: path of the bundled type declarations. */
+  types?: string;
+  /** npm: peer dependency ranges keyed by package name. */
+  peerDependencies?: Record<string, string>;
+  /** npm: unpacked size in bytes. */
+  unpackedSize?: number;
+  /** PyPI: trove classifiers. */
+  classifiers?: string[];
+  /** PyPI: Python versions from the classifiers, e.g. `['3.11', '3.12']`. */
+  pythonVersions?: string[];
+  /** PyPI: platform tags of the version's wheels. */
+  platforms?: string[];
+  /** PyPI: whether the version was yanked. */
+  yanked?: boolean;
+  yankedReason?: string;
+  /** PyPI: project URLs keyed by label. */
+  projectUrls?: Record<string, string>;
+  [field: string]: unknown;
+}
+
+/** A downloadable file of a GitHub or GitLab release. */
+export interface ReleaseAsset {
+  name: string;
+  url: string;
+  /** GitHub: size in bytes. */
+  size?: number;
+  /** GitHub: number of downloads. */
+  downloads?: number;
+  /** GitHub: MIME type. GitLab: link type, e.g. `package`. */
+  contentType?: string;
+}
+
+/** A GitHub or GitLab release in the release history. */
+export interface Release {
+  version: string;
+  tag: string;
+  name: string;
+  /** ISO 8601 date. */
+  releaseDate: string;
+  /** Markdown. */
+  releaseNotes: string;
+  url: string;
+  prerelease: boolean;
+  assets: ReleaseAsset[];
+}
+
+/** Options for picking a version from a list. */
+export interface ResolveVersionOptions {
+  /** Whether pre-release versions may be picked. */
+  prerelease?: boolean;
+  /** Dist-tags mapped to versions, e.g. `{ next: '5.0.0-beta.1' }`. */
+  tags?: Record<string, string>;
+}
+
+/** Context passed to a source's fetch and normalize functions. */
+export interface SourceContext {
+  /** Lowercase source name. */
+  source: string;
+  /** API base URL without a trailing slash. */
+  baseUrl: string;
+  /** Requested version spec: a semver range, dist-tag or pre-release channel. */
+  version?: string;
+  prerelease: boolean;
+  /** Number of past releases to include, 0 when none are requested. */
+  releases: number;
+  /** Requests JSON with the configured token and headers, and throws a GetDetailsError on failures. */
+  fetchJson<T = any>(url: string): Promise<T>;
+  /** Requests plain text like fetchJson. */
+  fetchText(url: string): Promise<string>;
+  /** Picks the highest version matching a spec. */
+  resolveVersion(versions: string[], spec?: string, options?: ResolveVersionOptions): string | undefined;
+}
+
+/** A package source registered with registerSource(). */
+export interface SourceDefinition<Raw = any> {
+  fetch(pkg: string, context: SourceContext): Promise<Raw>;
+  normalize?(raw: Raw, pkg: string, context: SourceContext): PackageData;
+  /** Extra format placeholders keyed by name without `%`: a data field name or a function; a function that throws gives an empty value. */
+  placeholders?: Record<string, string | ((data: PackageData) => unknown)>;
+  /** Default API base URL. */
+  baseUrl?: string;
+}
+
+/** Response cache settings. */
+export interface CacheOptions {
+  /** Time to live in seconds, one hour by default. */
+  ttl?: number;
+  storage?: 'local' | 'session';
+  /** Show expired entries while refreshing them in the background, true by default. */
+  staleWhileRevalidate?: boolean;
+}
+
+/** `numeric`, an Intl date style, `relative` or a pattern of YYYY, YY, MM, M, DD and D tokens. */
+export type DateStyle = 'numeric' | 'short' | 'medium' | 'long' | 'full' | 'relative' | (string & {});
+
+export type NumberStyle = 'standard' | 'compact' | 'raw';
+
+/** How dates and numbers are displayed. */
+export interface FormatOptions {
+  /** BCP 47 locale, the browser locale by default. */
+  locale?: string;
+  /** IANA time zone, the browser time zone by default. */
+  timeZone?: string;
+  dateStyle?: DateStyle;
+  numberStyle?: NumberStyle;
+}
+
+/** Returns extra headers for a request, e.g. for a proxy. */
+export type HeaderProvider = (url: string, context: { source: string }) => Record<string, string> | Promise<Record<string, string>>;
+
+/** The global configuration returned by configure(). */
+export interface Config extends Required<Pick<FormatOptions, 'dateStyle' | 'numberStyle'>> {
+  baseUrls: Record<string, string>;
+  tokens: Record<string, string>;
+  headers: HeaderProvider | null;
+  proxy: string | null;
+  fetch: typeof globalThis.fetch | null;
+  locale?: string;
+  timeZone?: string;
+}
+
+export interface ConfigureOptions extends FormatOptions {
+  /** API base URLs keyed by source name. */
+  baseUrls?: Record<string, string>;
+  /**
+   * API tokens keyed by source name, sent as `Authorization: Bearer <token>` to the source's default API and the origin
+   * of its `baseUrls` entry, never to other base URLs. An empty value removes a token.
+   */
+  tokens?: Record<string, string | null | undefined>;
+  /** Extra request headers, overriding the token header. Null removes the provider. */
+  headers?: HeaderProvider | null;
+  /** Endpoint loading normalized data for all sources instead of their APIs, e.g. `/api/details`. Null removes it. */
+  proxy?: string | null;
+  /** Fetch API implementation for all requests, e.g. to replay recorded responses in tests. Null uses the global fetch. */
+  fetch?: typeof globalThis.fetch | null;
+}
+
+/** Options of getDetails(). */
+export interface Options extends FormatOptions {
+  /** Package name or repository path. Without it, all elements with the data-get-details attribute are processed. */
+  packageName?: string;
+  /** Target element selector, `#package_version, .current-version` by default. */
+  target?: string | null;
+  /** Source name, `npm` by default. */
+  source?: string;
+  /** Format string with placeholders. */
+  format?: string;
+  /** Return the data, or the report if a format is given, instead of rendering it. */
+  str?: boolean;
+  cache?: string | number | boolean | CacheOptions;
+  /** API base URL for self-hosted registries. */
+  baseUrl?: string;
+  /** Version spec: a semver range, dist-tag or pre-release channel. */
+  version?: string;
+  prerelease?: boolean;
+  /** Number of past GitHub and GitLab releases to include, up to 100. */
+  releases?: number;
+  /** Text shown in the target elements when loading fails. */
+  fallback?: string;
+  /** Render an SVG badge, or return it as a string with `str: true`. */
+  badge?: boolean | BadgeOptions;
+}
+
+/** Colour names of badges, as on shields.io. */
+export type BadgeColor = 'brightgreen' | 'green' | 'yellowgreen' | 'yellow' | 'orange' | 'red' | 'blue' | 'grey' | 'gray' | 'lightgrey' | 'lightgray';
+
+/** How a badge looks. */
+export interface BadgeOptions {
+  /** Text on the left, derived from the first placeholder of the format by default, e.g. `stars` for `%stars`. */
+  label?: string;
+  /** Colour of the value: a colour name or CSS colour. By default it depends on `current`, or blue. */
+  color?: BadgeColor | (string & {});
+  /** Colour of the label, grey by default. */
+  labelColor?: BadgeColor | (string & {});
+  style?: 'flat' | 'flat-square' | 'plastic';
+  /** Version in use: green when up to date with the loaded version, yellow when a minor or patch behind, red when a major behind. */
+  current?: string;
+}
+
+/** JSON value of the data-get-details-config attribute. */
+export interface ElementConfig extends FormatOptions {
+  /** Package name or repository path, optionally with a version spec. */
+  package: string;
+  version?: string;
+  /** Target element selector; the element itself by default. */
+  target?: string;
+  /** Source name, optionally with an API base URL after a colon. */
+  source?: string;
+  baseUrl?: string;
+  /** Format string, braces optional. */
+  format?: string;
+  prerelease?: boolean;
+  releases?: number;
+  cache?: string | number | boolean | CacheOptions;
+  fallback?: string;
+  badge?: boolean | BadgeOptions;
+}
+
+/** A package of a collection element, in the events of the element. */
+export interface CollectionEntry {
+  source: string;
+  pkg: string;
+  version?: string;
+  /** Declared version range, e.g. from a package.json. */
+  range?: string;
+  baseUrl?: string;
+  data?: PackageData;
+  error?: GetDetailsError | Error;
+}
+
+/** Detail of the `getdetails:loading`, `getdetails:loaded` and `getdetails:error` events. Collections set `entries` instead of `source` and `pkg`. */
+export interface GetDetailsEventDetail {
+  source?: string;
+  pkg?: string;
+  version?: string;
+  /** The packages of a collection, once its manifest is loaded. */
+  entries?: CollectionEntry[];
+  /** Loaded data, for `getdetails:loaded`. */
+  data?: PackageData;
+  /** Set when a background refresh replaced cached data. */
+  updated?: boolean;
+  /** The failure, for `getdetails:error`. */
+  error?: GetDetailsError | Error;
+}
+
+/**
+ * Renders package details into the page, or returns them with `str: true`, which also works without a DOM.
+ * Without a package name, processes all elements with the data-get-details attribute.
+ */
+declare function getDetails(options: Options & { packageName: string; str: true; badge: true | BadgeOptions }): Promise<string>;
+declare function getDetails(options: Options & { packageName: string; str: true; format: string }): Promise<string>;
+declare function getDetails(options: Options & { packageName: string; str: true }): Promise<PackageData>;
+declare function getDetails(options?: Options): Promise<void>;
+
+/** Registers a package source, or replaces an existing one with the same name. */
+export declare function registerSource<Raw = any>(name: string, definition: SourceDefinition<Raw>): void;
+
+/** Updates the global configuration and returns it. */
+export declare function configure(options?: ConfigureOptions): Config;
+
+/**
+ * The `<get-details>` custom element. Attributes: `package` (with an optional `@version` spec), `source`, `version`,
+ * `format`, `prerelease`, `releases`, `cache`, `locale`, `timezone`, `date-style`, `number-style` and `fallback`.
+ * Slots: `loading` and `error`. Parts: `content`, `loading` and `error`.
+ */
+export interface GetDetailsElement extends HTMLElement {
+  /** Loads the package again and renders it. */
+  refresh(): Promise<void>;
+}
+
+/** Processes an element again, or all elements with the data-get-details attribute. A `<get-details>` element loads again. */
+export declare function refresh(el?: Element): Promise<void>;
+
+/** Processes elements added under a root later and elements whose attributes change. */
+export declare function observe(root?: Node): void;
+
+/** Stops observing. */
+export declare function disconnect(): void;
+
+/** Options of fetch(). */
+export interface FetchOptions {
+  /** Version spec, overriding one in the package name. */
+  version?: string;
+  prerelease?: boolean;
+  /** Number of past GitHub and GitLab releases to include, up to 100. */
+  releases?: number;
+  /** API base URL, overriding one in the source. Configured tokens are not sent to it, only `token`. */
+  baseUrl?: string;
+  cache?: string | number | boolean | CacheOptions;
+  /** API token, overriding the one set through configure(). */
+  token?: string;
+  /** Proxy endpoint, or false to call the API even if a proxy is configured. */
+  proxy?: string | false;
+}
+
+/** Options of render(). */
+export interface RenderOptions extends FormatOptions {
+  /** Source the data came from, for its custom placeholders. */
+  source?: string;
+  /** Whether values are HTML-escaped, true by default. Pass false for plain text output. */
+  escape?: boolean;
+}
+
+/** Options of renderBadge(). */
+export interface RenderBadgeOptions extends BadgeOptions, FormatOptions {
+  /** Source the data came from, for its custom placeholders. */
+  source?: string;
+}
+
+/** Options of renderHtml(). */
+export interface RenderHtmlOptions extends FormatOptions {
+  /** Called for each element that failed; errors are logged by default. */
+  onError?: (error: GetDetailsError | Error, attrValue: string) => void;
+}
+
+/** Fetches normalized package data without a DOM, e.g. `fetch('npm', 'bootstrap@^5')`. */
+declare function fetchDetails(source: string, pkg: string, options?: FetchOptions): Promise<PackageData>;
+
+/** Renders package data with a format string (without braces). */
+declare function renderDetails(data: PackageData, format?: string, options?: RenderOptions): string;
+
+/** Renders package data as an SVG badge; the format gives the value, the version by default. */
+export declare function renderBadge(data: PackageData, format?: string, options?: RenderBadgeOptions): string;
+
+/**
+ * Renders the elements with a data-get-details attribute in an HTML string. Collections and `<get-details>`
+ * elements are left unchanged for the browser script.
+ */
+export declare function renderHtml(html: string, options?: RenderHtmlOptions): Promise<string>;
+
+/** Removes the optional braces around a whole format, e.g. `{%name %version}`; undefined for an empty format. */
+export declare function unwrapFormat(format?: string): string | undefined;
+
+export { fetchDetails as fetch, renderDetails as render };
+
+/** getDetails() with the other functions attached, as exported by every entry point. */
+export type GetDetails = typeof getDetails & {
+  default: typeof getDetails;
+  registerSource: typeof registerSource;
+  configure: typeof configure;
+  GetDetailsError: typeof GetDetailsError;
+  refresh: typeof refresh;
+  observe: typeof observe;
+  disconnect: typeof disconnect;
+  fetch: typeof fetchDetails;
+  render: typeof renderDetails;
+  renderBadge: typeof renderBadge;
+  renderHtml: typeof renderHtml;
+  unwrapFormat: typeof unwrapFormat;
+};
+
+declare const api: GetDetails;
+export default api;
+
+declare global {
+  interface Window {
+    getDetails: GetDetails;
+  }
+
+  interface HTMLElementTagNameMap {
+    'get-details': GetDetailsElement;
+  }
+
+  interface HTMLElementEventMap {
+    'getdetails:loading': CustomEvent<GetDetailsEventDetail>;
+    'getdetails:loaded': CustomEvent<GetDetailsEventDetail>;
+    'getdetails:error': CustomEvent<GetDetailsEventDetail>;
+  }
+
+  interface DocumentEventMap {
+    'getdetails:loading': CustomEvent<GetDetailsEventDetail>;
+    'getdetails:loaded': CustomEvent<GetDetailsEventDetail>;
+    'getdetails:error': CustomEvent<GetDetailsEventDetail>;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Builds the browser script (index.js) and the CommonJS module (index.cjs) from the shared ES module
+ * in src/core.js, so every entry point runs the same code. Run with `npm run build`.
+ *
+ * src/core.js must not import anything and must end with one `export { ... };` list and one
+ * `export default` statement. The default export becomes the public API; src/core.js attaches the
+ * named exports to it as properties.
+ */
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const { version } = JSON.parse(readFileSync(`${root}package.json`, 'utf8'));
+const source = readFileSync(`${root}src/core.js`, 'utf8');
+
+const NAMED_EXPORTS = /^export \{([^}]*)\};$\n?/m;
+const DEFAULT_EXPORT = /^export default (\w+);$\n?/m;
+
+const hasNamedExports = NAMED_EXPORTS.test(source);
+const main = source.match(DEFAULT_EXPORT)?.[1];
+const body = source.replace(NAMED_EXPORTS, '').replace(DEFAULT_EXPORT, '').trimEnd();
+
+if (!hasNamedExports || !main || /^(import|export)\b/m.test(body)) {
+  throw new Error('src/core.js must have no imports, one `export { ... };` list and one `export default` statement');
+}
+
+// `default` lets CommonJS consumers use the same import code as ES module consumers
+const api = `Object.assign(${main}, { default: ${main} })`;
+const indent = (code) => code.replace(/^(?=.)/gm, '  ');
+const banner = `/**
+ * get-details v${version}
+ * Generated from src/core.js by scripts/build.js. Do not edit this file; edit src/core.js and run \`npm run build\`.
+ */
+`;
+
+const browser = `${banner}(function (root, factory) {
+  const api = factory();
+
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+    return;
+  }
+
+  // Public API for registering custom sources and configuration before initialization, and for live DOM updates
+  root.getDetails = api;
+
+  // Auto-initialize when DOM is loaded
+  document.addEventListener('DOMContentLoaded', () => api());
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+${indent(body)}
+
+  return ${api};
+});
+`;
+
+const commonjs = `${banner}'use strict';
+
+${body}
+
+module.exports = ${api};
+`;
+
+writeFileSync(`${root}index.js`, browser);
+writeFileSync(`${root}index.cjs`, commonjs);
+console.log('Built index.js and index.cjs from src/core.js');
@@ -0,0 +1,22 @@
+/**
+ * Type declarations for the reference proxy handlers in src/server.js (`get-details/server`).
+ */
+import type { IncomingMessage, ServerResponse } from 'node:http';
+
+/** Options of createNodeHandler() and createFetchHandler(). */
+export interface ProxyHandlerOptions {
+  /** Source names clients may request, all registered sources by default. */
+  sources?: string[];
+  /** Seconds to keep results in the memory cache, also sent as `Cache-Control: max-age`. 3600 by default. */
+  ttl?: number;
+  /** Maximum number of cached results, 1000 by default. */
+  maxEntries?: number;
+  /** Value of the Access-Control-Allow-Origin header, for pages on another origin. */
+  allowOrigin?: string;
+}
+
+/** Creates a handler for Node's http module, also usable as Express or Connect middleware. */
+export declare function createNodeHandler(options?: ProxyHandlerOptions): (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+
+/** Creates a handler for runtimes built on the Fetch API, such as Cloudflare Workers, Deno and Bun. */
+export declare function createFetchHandler(options?: ProxyHandlerOptions): (request: Request) => Promise<Response>;
@@ -0,0 +1,3753 @@
+/**
+ * Module for fetching and displaying package information from various sources.
+ * Supports any HTML element with data-get-details attribute for configuration or direct invocation.
+ *
+ * This is the single implementation behind every entry point: es.js re-exports it, and
+ * scripts/build.js wraps it into the auto-initializing browser script (index.js) and the
+ * CommonJS module (index.cjs). Edit this file and run `npm run build`.
+ */
+
+/**
+ * Characters that a backslash escapes in the data-get-details attribute. Before other characters the backslash
+ * is kept, so CSS escapes in selectors such as `#a\:b` pass through unchanged.
+ */
+const ESCAPABLE = [',', '{', '}', '"', "'", '\\'];
+
+/**
+ * Creates the error thrown for an invalid data-get-details or data-get-details-config attribute.
+ *
+ * @param {string} message - What is wrong.
+ * @returns {GetDetailsError} - A `config` error.
+ */
+const configError = message => new GetDetailsError('config', message);
+
+/**
+ * Parses the value of the data-get-details attribute to extract configuration.
+ *
+ * The value is up to three comma-separated fields followed by the format:
+ *
+ *   package[@version] [, target [, source[:baseUrl] [, format | {format}]]]
+ *
+ * - Fields are trimmed; an empty target means the element itself.
+ * - A field wrapped in double or single quotes may contain commas and braces, e.g. `".a, .b"`. Commas inside
+ *   parentheses and brackets, and inside quotes within brackets, do not split a field, so selectors such as
+ *   `[title="a,b"]` and `:is(.a, .b)` work unquoted. Other quotes are literal.
+ * - A backslash before `,`, `{`, `}`, a quote or a backslash makes it literal.
+ * - The format starts at the first `{` outside quotes and ends at the last `}`, so it may contain braces and
+ *   commas. Only whitespace may follow it. A format without braces is the fourth field and cannot contain commas.
+ *
+ * @param {string} attrValue - The value of data-get-details attribute, containing package name, target element, source, and optionally format.
+ * @returns {Object} - Configuration object containing package name, version, target element, source, base URL and format (if provided).
+ * @throws {GetDetailsError} - A `config` error if the package name is missing or the value is malformed.
+ */
+const parse = (attrValue) => {
+  const value = attrValue || '';
+  const fields = [];
+  let field = '';
+  let format;
+  let quote = null;
+  let quoteStart = 0;
+  let depth = 0;
+
+  for (let index = 0; index < value.length; index++) {
+    const char = value[index];
+    if (char === '\\' && ESCAPABLE.includes(value[index + 1])) {
+      field += value[++index];
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      field += char;
+    } else if ((char === '"' || char === "'") && (!field.trim() || depth)) {
+      // Quotes open at the start of a field or inside brackets; elsewhere they are apostrophes
+      quote = char;
+      quoteStart = index;
+      field += char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+      field += char;
+    } else if ((char === ')' || char === ']') && depth > 0) {
+      depth--;
+      field += char;
+    } else if (char === ',' && !depth) {
+      fields.push(field);
+      field = '';
+    } else if (char === '{') {
+      const end = value.lastIndexOf('}');
+      if (end < index) {
+        throw configError(`Missing "}" for the format starting at position ${index + 1} of the data-get-details attribute`);
+      }
+      if (value.slice(end + 1).trim()) {
+        throw configError(`Unexpected text after the format at position ${end + 2} of the data-get-details attribute`);
+      }
+      format = value.slice(index + 1, end).trim();
+      break;
+    } else {
+      field += char;
+    }
+  }
+  if (quote) {
+    throw configError(`Unterminated quote at position ${quoteStart + 1} of the data-get-details attribute`);
+  }
+  fields.push(field);
+
+  // Quotes around a whole field are delimiters; quotes inside it stay, e.g. in attribute selectors
+  const [pkg, target, source, bareFormat, ...rest] = fields.map(text => text.trim().replace(/^(["'])([\s\S]*)\1$/, '$2'));
+  if (rest.length || (format !== undefined && bareFormat)) {
+    throw configError('Too many fields in the data-get-details attribute: expected package, target, source and format. Quote fields that contain commas or wrap the format in braces');
+  }
+
+  return normalizeConfig({ package: pkg, target, source, format: format ?? bareFormat });
+};
+
+/**
+ * Keys of the data-get-details-config attribute and the types of their values; null allows several types.
+ */
+const CONFIG_KEYS = {
+  package: 'string',
+  version: 'string',
+  target: 'string',
+  source: 'string',
+  baseUrl: 'string',
+  format: 'string',
+  prerelease: 'boolean',
+  releases: 'number',
+  cache: null,
+  locale: 'string',
+  timeZone: 'string',
+  dateStyle: 'string',
+  numberStyle: 'string',
+  fallback: 'string',
+  badge: null
+};
+
+/**
+ * Parses the JSON value of the data-get-details-config attribute, an alternative to data-get-details that needs
+ * no quoting, e.g. `{"package": "bootstrap@^5", "target": ".a, .b", "format": "%name {%version}"}`.
+ * It also takes the options of the other data-get-details-* attributes, named like the options of getDetails().
+ *
+ * @param {string} attrValue - The JSON value.
+ * @returns {Object} - The configuration like parse() returns it, plus the other keys as `options`.
+ * @throws {GetDetailsError} - A `config` error if the value is not a JSON object with valid keys and a package name.
+ */
+const parseConfig = (attrValue) => {
+  let value;
+  try {
+    value = JSON.parse(attrValue);
+  } catch (error) {
+    throw configError(`Invalid JSON in the data-get-details-config attribute: ${error.message}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw configError('The data-get-details-config attribute must be a JSON object');
+  }
+
+  for (const [key, keyValue] of Object.entries(value)) {
+    if (!Object.prototype.hasOwnProperty.call(CONFIG_KEYS, key)) {
+      throw configError(`Unknown key "${key}" in the data-get-details-config attribute`);
+    }
+    if (CONFIG_KEYS[key] && keyValue !== null && typeof keyValue !== CONFIG_KEYS[key]) {
+      throw configError(`"${key}" must be a ${CONFIG_KEYS[key]} in the data-get-details-config attribute`);
+    }
+  }
+
+  const { package: pkg, version, target, source, baseUrl, format, ...options } = value;
+  if (!pkg?.trim()) {
+    throw configError('"package" is required in the data-get-details-config attribute');
+  }
+  return { ...normalizeConfig({ package: pkg, version, target, source, baseUrl, format: unwrapFormat(format) }), options };
+};
+
+/**
+ * Normalizes the package settings of an element or a getDetails() call: splits the version spec off the package
+ * and the base URL off the source.
+ *
+ * @param {Object} settings - `package` and the optional `version`, `target`, `source`, `baseUrl` and `format`.
+ *   A separate version or base URL overrides the one in the package or source.
+ * @returns {Object} - `pkg`, `version`, `target`, `source`, `baseUrl` and `format`; missing values are undefined.
+ * @throws {GetDetailsError} - A `config` error if the package name is missing.
+ */
+const normalizeConfig = ({ package: pkgValue, version, target, source, baseUrl, format }) => {
+  const { pkg, version: packageVersion } = parsePackage(String(pkgValue || '').trim());
+  if (!pkg) {
+    throw configError('Package name is required in data-get-details attribute');
+  }
+  const { source: sourceName, baseUrl: sourceBaseUrl } = parseSource(source?.trim());
+
+  return {
+    pkg,
+    version: version || packageVersion,
+    target: target?.trim() || undefined,
+    source: sourceName,
+    baseUrl: baseUrl || sourceBaseUrl,
+    format: format?.trim() || undefined
+  };
+};
+
+/**
+ * Removes the braces around a whole format, which are optional outside the data-get-details attribute.
+ * Exported, so tools such as the command line read formats exactly like elements do.
+ *
+ * @param {string} [format] - Format string, with or without braces.
+ * @returns {string|undefined} - The format without braces, or undefined if it is empty.
+ */
+const unwrapFormat = format => format?.trim().replace(/^{([\s\S]*)}$/, '$1').trim() || undefined;
+
+/**
+ * Splits the package part of the data-get-details attribute into the package name and an optional
+ * version spec, e.g. "bootstrap@^5", "@scope/pkg@next" or "owner/repo@beta".
+ *
+ * @param {string} value - The package part of the attribute value.
+ * @returns {Object} - Object containing the package name and the version spec, if any.
+ */
+const parsePackage = (value) => {
+  // A leading "@" belongs to a scoped npm package name
+  const separator = value.lastIndexOf('@');
+  if (separator <= 0) {
+    return { pkg: value, version: undefined };
+  }
+  return {
+    pkg: value.slice(0, separator).trim(),
+    version: value.slice(separator + 1).trim() || undefined
+  };
+};
+
+/**
+ * Splits the source part of the data-get-details attribute into the source name and an optional
+ * API base URL, e.g. "gitlab:https://git.example.com/api/v4".
+ *
+ * @param {string} [value] - The source part of the attribute value.
+ * @returns {Object} - Object containing the source name (default "npm") and the base URL, if any.
+ */
+const parseSource = (value) => {
+  const separator = value ? value.indexOf(':') : -1;
+  if (separator === -1) {
+    return { source: value || 'npm', baseUrl: undefined };
+  }
+  return {
+    source: value.slice(0, separator).trim() || 'npm',
+    baseUrl: value.slice(separator + 1).trim() || undefined
+  };
+};
+
+/**
+ * Long and short pre-release labels, mapped to the names used for comparison and channels.
+ * Covers PEP 440 versions such as "2.0b1" and "2.0rc1".
+ */
+const PRERELEASE_ALIASES = { a: 'alpha', b: 'beta', c: 'rc', pre: 'rc', preview: 'rc' };
+
+/**
+ * Parses a version string such as "1.2.3", "v2.0.0-beta.1" or "2.0rc1".
+ *
+ * @param {string} value - Version string or tag name.
+ * @returns {Object|null} - Object with the numeric `release` parts and the `prerelease` identifiers, or null if the value is not a version.
+ */
+const parseVersion = (value) => {
+  const match = String(value).trim().match(/^v?(\d+(?:\.\d+)*)(?:[-.]?([0-9A-Za-z][0-9A-Za-z.-]*))?(?:\+[0-9A-Za-z.-]*)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const release = match[1].split('.').map(Number);
+  if (!match[2]) {
+    return { release, prerelease: [] };
+  }
+
+  // Post-releases ("1.0.post1") come after the release, so they are not pre-releases
+  const post = match[2].match(/^post(\d*)$/i);
+  if (post) {
+    return { release: [...release, 0, 0].slice(0, Math.max(release.length, 3)).concat(Number(post[1] || 0) + 1), prerelease: [] };
+  }
+
+  const prerelease = match[2].toLowerCase().split(/[.-]/).filter(Boolean);
+  const label = prerelease[0].match(/^([a-z]+)(\d*)$/);
+  if (label && PRERELEASE_ALIASES[label[1]]) {
+    prerelease.splice(0, 1, PRERELEASE_ALIASES[label[1]], ...(label[2] ? [label[2]] : []));
+  }
+  return { release, prerelease };
+};
+
+/**
+ * Compares two parsed versions. A version without pre-release identifiers is greater
+ * than the same version with them.
+ *
+ * @param {Object} a - Parsed version.
+ * @param {Object} b - Parsed version.
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal.
+ */
+const compareVersions = (a, b) => {
+  const length = Math.max(a.release.length, b.release.length, 3);
+  for (let i = 0; i < length; i++) {
+    const diff = (a.release[i] || 0) - (b.release[i] || 0);
+    if (diff) {
+      return diff;
+    }
+  }
+
+  if (!a.prerelease.length || !b.prerelease.length) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const [x, y] = [a.prerelease[i], b.prerelease[i]];
+    if (x === undefined || y === undefined) {
+      return x === undefined ? -1 : 1;
+    }
+    if (x !== y) {
+      const [xNum, yNum] = [/^\d+$/.test(x), /^\d+$/.test(y)];
+      if (xNum && yNum) {
+        return Number(x) - Number(y);
+      }
+      return xNum !== yNum ? (xNum ? -1 : 1) : (x < y ? -1 : 1);
+    }
+  }
+  return 0;
+};
+
+/**
+ * Converts one range comparator ("^1.2", "~1.2.3", ">=2", "1.x", "*") into lower and upper bounds.
+ * Upper bounds of caret, tilde and partial versions exclude pre-releases of the next version.
+ * Bounds on a version written with a pre-release, like "^2.0.0-beta.1", are marked `explicit`,
+ * see satisfiesRange.
+ *
+ * @param {string} token - Comparator token.
+ * @returns {Array<Object>|null} - List of `{ op, version }` bounds, or null if the token is invalid.
+ */
+const parseComparator = (token) => {
+  const match = token.match(/^(\^|~|>=|<=|>|<|=)?v?(\*|x|\d+)(?:\.(\*|x|\d+))?(?:\.(\*|x|\d+))?(?:-([0-9A-Za-z.-]+))?$/i);
+  if (!match) {
+    return null;
+  }
+
+  const [, op = '', ...rest] = match;
+  const parts = rest.slice(0, 3).map(p => (p === undefined || /^[x*]$/i.test(p) ? null : Number(p)));
+  const prerelease = rest[3] ? rest[3].toLowerCase().split('.') : [];
+  const known = parts.indexOf(null) === -1 ? 3 : parts.indexOf(null);
+  const [major, minor, patch] = parts.map(p => p || 0);
+  const lower = { release: [major, minor, patch], prerelease, explicit: prerelease.length > 0 };
+  const upperAt = (index) => {
+    const release = [major, minor, patch].map((p, i) => (i < index ? p : i === index ? p + 1 : 0));
+    return { op: '<', version: { release, prerelease: ['0'] } };
+  };
+
+  if (known === 0) {
+    return op === '<' || op === '>' ? [{ op: '<', version: { release: [0, 0, 0], prerelease: ['0'] } }] : [];
+  }
+
+  switch (op) {
+    case '^': {
+      const index = major ? 0 : (minor || known < 3 ? (known < 2 ? 0 : 1) : 2);
+      return [{ op: '>=', version: lower }, upperAt(index)];
+    }
+    case '~':
+      return [{ op: '>=', version: lower }, upperAt(known < 2 ? 0 : 1)];
+    case '>':
+      return known < 3 ? [{ op: '>=', version: upperAt(known - 1).version }] : [{ op: '>', version: lower }];
+    case '<=':
+      return known < 3 ? [upperAt(known - 1)] : [{ op: '<=', version: lower }];
+    case '<':
+      return [{ op, version: known < 3 ? { release: lower.release, prerelease: ['0'] } : lower }];
+    case '>=':
+      return [{ op, version: lower }];
+    default:
+      return known < 3 ? [{ op: '>=', version: lower }, upperAt(known - 1)] : [{ op: '=', version: lower }];
+  }
+};
+
+/**
+ * Parses a semver range such as "^2.1", "2.x", ">=1.4 <2", "1.2 - 1.4" or "^1 || ^2".
+ *
+ * @param {string} range - Range expression.
+ * @returns {Array<Array<Object>>|null} - Alternative sets of bounds, or null if the range is invalid.
+ */
+const parseRange = (range) => {
+  const sets = [];
+
+  for (const alternative of range.split('||')) {
+    const hyphen = alternative.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+    const tokens = hyphen
+      ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+      : alternative.replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').trim().split(/\s+/).filter(Boolean);
+
+    const bounds = [];
+    for (const token of tokens.length ? tokens : ['*']) {
+      const comparator = parseComparator(token);
+      if (!comparator) {
+        return null;
+      }
+      bounds.push(...comparator);
+    }
+    sets.push(bounds);
+  }
+
+  return sets;
+};
+
+/**
+ * Checks whether a parsed version satisfies a parsed range. Like npm, a pre-release only satisfies an
+ * alternative that names a pre-release of the same major.minor.patch, such as "2.0.0-beta.1" or
+ * "^2.0.0-beta.0", unless pre-releases are allowed.
+ *
+ * @param {Object} version - Parsed version.
+ * @param {Array<Array<Object>>} range - Parsed range.
+ * @param {boolean} [prerelease=false] - Whether any pre-release in the range is accepted.
+ * @returns {boolean} - True if any alternative of the range accepts the version.
+ */
+const satisfiesRange = (version, range, prerelease = false) => range.some(bounds => bounds.every(({ op, version: bound }) => {
+  const diff = compareVersions(version, bound);
+  return { '>': diff > 0, '>=': diff >= 0, '<': diff < 0, '<=': diff <= 0, '=': diff === 0 }[op];
+}) && (prerelease || !version.prerelease.length || bounds.some(({ version: bound }) => (
+  bound.explicit && compareVersions({ release: version.release.slice(0, 3), prerelease: [] }, { release: bound.release, prerelease: [] }) === 0
+))));
+
+/**
+ * Picks the newest version matching a version spec.
+ *
+ * The spec can be a semver range ("^2", "2.x", ">=1.4 <2"), a dist-tag listed in `tags`,
+ * or a pre-release channel name such as "beta" or "rc" that matches versions like "3.0.0-beta.2".
+ * Without a spec, or with "latest", the newest version is picked. Pre-releases only match ranges
+ * and "latest" when `prerelease` is true, or ranges that name a pre-release of their version, see satisfiesRange.
+ *
+ * @param {Array<string>} versions - Available version strings or tag names.
+ * @param {string} [spec] - Version spec.
+ * @param {Object} [options] - Resolution options.
+ * @param {boolean} [options.prerelease=false] - Whether ranges may match pre-release versions.
+ * @param {Object<string, string>} [options.tags] - Dist-tags mapped to versions, e.g. npm's `dist-tags`.
+ * @returns {string|undefined} - The matching version string as given in `versions`, or undefined if none matches.
+ */
+const resolveVersion = (versions, spec, { prerelease = false, tags = {} } = {}) => {
+  if (spec && tags[spec]) {
+    return tags[spec];
+  }
+
+  const range = spec && spec !== 'latest' ? parseRange(spec) : [[]];
+  const channel = range ? null : spec.toLowerCase();
+  let best;
+  let bestParsed;
+
+  for (const version of versions) {
+    const parsed = parseVersion(version);
+    if (!parsed) {
+      continue;
+    }
+
+    const matches = channel
+      ? parsed.prerelease.length > 0 && parsed.prerelease[0].startsWith(channel)
+      : satisfiesRange(parsed, range, prerelease);
+
+    if (matches && (!best || compareVersions(parsed, bestParsed) > 0)) {
+      best = version;
+      bestParsed = parsed;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Error thrown when package data cannot be loaded. Its `type` tells why:
+ * - `not-found`: the package, repository or requested version does not exist.
+ * - `rate-limited`: the API refused further requests; `resetAt` is when they are allowed again, if known.
+ * - `network`: no response arrived, e.g. the visitor is offline or the request was blocked by CORS.
+ * - `parse`: the response was not valid JSON or did not have the expected shape.
+ * - `http`: any other error status.
+ * - `unsupported`: no source is registered under the requested name, or the source cannot pick versions by a spec.
+ * - `config`: an element's data-get-details or data-get-details-config attribute is invalid.
+ */
+class GetDetailsError extends Error {
+  /**
+   * @param {string} type - Error type, see above.
+   * @param {string} message - Error message.
+   * @param {Object} [details] - Additional details.
+   * @param {number} [details.status] - HTTP status of the failed response.
+   * @param {Date} [details.resetAt] - When a rate limit resets.
+   * @param {Error} [details.cause] - The underlying error.
+   */
+  constructor(type, message, { status, resetAt = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GetDetailsError';
+    this.type = type;
+    this.status = status;
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * Types of GetDetailsError.
+ */
+const ERROR_TYPES = ['not-found', 'rate-limited', 'network', 'parse', 'http', 'unsupported', 'config'];
+
+/**
+ * Creates the error thrown when no version of a package matches a version spec.
+ *
+ * @param {string} pkg - The package or repository name.
+ * @param {string} [spec] - Version spec.
+ * @returns {GetDetailsError} - A `not-found` error describing the unmatched spec.
+ */
+const versionNotFound = (pkg, spec) => new GetDetailsError('not-found', `No version of ${pkg} matches "${spec || 'latest'}"`);
+
+/**
+ * Rejects a version spec for sources whose API only describes the latest version, so a pinned
+ * version is never shown as the latest one.
+ *
+ * @param {string} source - Source name for the message, e.g. "RubyGems".
+ * @param {string} pkg - The package name.
+ * @param {string} [spec] - The requested version spec.
+ * @throws {GetDetailsError} - An `unsupported` error if a spec other than "latest" is given.
+ */
+const rejectVersionSpec = (source, pkg, spec) => {
+  if (spec && spec !== 'latest') {
+    throw new GetDetailsError('unsupported', `${source} only provides the latest version of ${pkg}, not "${spec}"`);
+  }
+};
+
+/**
+ * Registered package sources, keyed by lowercase source name.
+ */
+const sources = new Map();
+
+/**
+ * Options controlling how dates and numbers are displayed.
+ */
+const FORMAT_OPTIONS = ['locale', 'timeZone', 'dateStyle', 'numberStyle'];
+
+/**
+ * Global configuration, changed through configure().
+ */
+const config = {
+  baseUrls: {},
+  tokens: {},
+  headers: null,
+  proxy: null,
+  fetch: null,
+  locale: undefined,
+  timeZone: undefined,
+  dateStyle: 'numeric',
+  numberStyle: 'standard'
+};
+
+/**
+ * Updates the global configuration.
+ *
+ * @param {Object} options - Configuration options.
+ * @param {Object<string, string>} [options.baseUrls] - API base URLs keyed by source name, e.g. `{ gitlab: 'https://git.example.com/api/v4' }`.
+ * @param {Object<string, string>} [options.tokens] - API tokens keyed by source name, sent as `Authorization: Bearer <token>`,
+ *   e.g. `{ github: 'github_pat_...' }`, to the source's default API and the origin of its `baseUrls` entry. An empty value removes a token.
+ * @param {Function|null} [options.headers] - `(url, { source }) => Object|Promise<Object>` returning extra request headers,
+ *   e.g. for a proxy. Its headers override the token header. Pass null to remove it.
+ * @param {string|null} [options.proxy] - Endpoint loading normalized data for all sources instead of their APIs, e.g. '/api/details'.
+ *   It is requested with `source`, `pkg`, `version`, `prerelease` and `releases` query parameters, see src/server.js. Pass null to call the APIs again.
+ * @param {Function|null} [options.fetch] - Fetch API implementation for all requests, e.g. to replay recorded responses in tests.
+ *   Pass null to use the global fetch again.
+ * @param {string} [options.locale] - BCP 47 locale for dates and numbers, e.g. 'de-DE'. Defaults to the browser locale.
+ * @param {string} [options.timeZone] - IANA time zone for dates, e.g. 'UTC'. Defaults to the browser time zone.
+ * @param {string} [options.dateStyle] - Default date style, see formatDate.
+ * @param {string} [options.numberStyle] - Default number style, see formatNumber.
+ * @returns {Object} - The current configuration.
+ */
+const configure = ({ baseUrls, tokens, headers, proxy, fetch: request, ...formatting } = {}) => {
+  if (baseUrls) {
+    for (const [name, url] of Object.entries(baseUrls)) {
+      config.baseUrls[name.toLowerCase()] = url;
+    }
+  }
+  if (tokens) {
+    for (const [name, token] of Object.entries(tokens)) {
+      if (token) {
+        config.tokens[name.toLowerCase()] = token;
+      } else {
+        delete config.tokens[name.toLowerCase()];
+      }
+    }
+  }
+  if (headers !== undefined) {
+    if (headers !== null && typeof headers !== 'function') {
+      throw new TypeError('The headers option must be a function or null');
+    }
+    config.headers = headers;
+  }
+  if (proxy !== undefined) {
+    config.proxy = proxy || null;
+  }
+  if (request !== undefined) {
+    if (request !== null && typeof request !== 'function') {
+      throw new TypeError('The fetch option must be a function or null');
+    }
+    config.fetch = request;
+  }
+  for (const key of FORMAT_OPTIONS) {
+    if (formatting[key] !== undefined) {
+      config[key] = formatting[key];
+    }
+  }
+  return config;
+};
+
+/**
+ * Registers a package source, or replaces an existing one with the same name.
+ * Built-in sources (npm, pypi, github, gitlab, crates, packagist, rubygems, maven, nuget, go, docker)
+ * are registered the same way.
+ *
+ * @param {string} name - Source name used in the data-get-details attribute and the `source` option (case-insensitive).
+ * @param {Object} definition - Source definition.
+ * @param {Function} definition.fetch - `(pkg, context) => Promise<*>` loading raw data for a package. The context provides `fetchJson(url)`, which requests JSON with the configured token and headers and throws a GetDetailsError on failures, `fetchText(url)`, which does the same for plain text, the API `baseUrl`, the requested `version` spec and `prerelease` flag, the number of past `releases` to include, and `resolveVersion(versions, spec, options)`.
+ * @param {Function} [definition.normalize] - `(raw, pkg, context) => Object` mapping raw data to normalized fields (`version`, `name`, `description`, ...). Defaults to the raw data.
+ * @param {Object<string, (string|Function)>} [definition.placeholders] - Extra format placeholders keyed by name without `%`, each a data field name or a `(data) => value` function. A function that throws, e.g. for the partial data of a failed collection row, gives an empty value.
+ * @param {string} [definition.baseUrl] - Default API base URL, which can be overridden per element or through configure().
+ * @throws {TypeError} - If the name is empty or fetch is not a function.
+ */
+const registerSource = (name, { fetch, normalize, placeholders = {}, baseUrl = '' } = {}) => {
+  if (!name || typeof name !== 'string') {
+    throw new TypeError('Source name is required');
+  }
+  if (typeof fetch !== 'function') {
+    throw new TypeError(`Source "${name}" must provide a fetch function`);
+  }
+
+  const resolvers = {};
+  for (const [key, value] of Object.entries(placeholders)) {
+    resolvers[key.replace(/^%/, '').toLowerCase()] = typeof value === 'function' ? value : (data) => data[value];
+  }
+
+  sources.set(name.toLowerCase(), {
+    fetch,
+    normalize: typeof normalize === 'function' ? normalize : (raw) => raw,
+    placeholders: resolvers,
+    baseUrl
+  });
+};
+
+/**
+ * Reads when a rate limit resets from response headers: `Retry-After` (seconds or an HTTP date), or the
+ * `X-RateLimit-Reset` and `RateLimit-Reset` headers sent by GitHub and GitLab.
+ *
+ * @param {Headers} headers - Response headers.
+ * @returns {Date|null} - The reset time, or null if the headers do not tell.
+ */
+const getRateLimitReset = (headers) => {
+  const retryAfter = headers.get('retry-after');
+  if (retryAfter) {
+    return /^\d+$/.test(retryAfter) ? new Date(Date.now() + retryAfter * 1000) : toDate(retryAfter) || null;
+  }
+
+  const reset = Number(headers.get('x-ratelimit-reset') || headers.get('ratelimit-reset'));
+  if (!reset) {
+    return null;
+  }
+  // Small values are seconds from now rather than a Unix timestamp
+  return new Date(reset < 1e9 ? Date.now() + reset * 1000 : reset * 1000);
+};
+
+/**
+ * Creates the error for a response with an error status.
+ *
+ * @param {Response} response - The failed response.
+ * @param {string} url - The requested URL.
+ * @returns {GetDetailsError} - A `not-found`, `rate-limited` or `http` error.
+ */
+const createHttpError = (response, url) => {
+  const { status, headers } = response;
+  if (status === 404 || status === 410) {
+    return new GetDetailsError('not-found', `Not found: ${url}`, { status });
+  }
+  // GitHub answers 403 instead of 429 once the hourly quota is used up
+  if (status === 429 || (status === 403 && headers.get('x-ratelimit-remaining') === '0')) {
+    return new GetDetailsError('rate-limited', `Rate limit exceeded: ${url}`, { status, resetAt: getRateLimitReset(headers) });
+  }
+  return new GetDetailsError('http', `HTTP error! status: ${status}`, { status });
+};
+
+/**
+ * Reads the origin of a URL, resolving relative URLs against the page.
+ *
+ * @param {string} url - Absolute or relative URL.
+ * @returns {string} - The origin, or an empty string if the URL is invalid.
+ */
+const getOrigin = (url) => {
+  try {
+    return new URL(url, typeof location === 'undefined' ? undefined : location.href).origin;
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Tells whether the configured token of a source may be sent to a URL: only to the origin of the source's
+ * default API or of the base URL set with configure(). Base URLs from element attributes or options could
+ * point anywhere, so requests to them are anonymous unless the call passes its own token.
+ *
+ * @param {string} url - URL to request.
+ * @param {string} source - Lowercase source name.
+ * @returns {boolean} - True if the URL is on a trusted origin.
+ */
+const isTokenOrigin = (url, source) => {
+  const origin = getOrigin(url);
+  return Boolean(origin) && [config.baseUrls[source], sources.get(source)?.baseUrl]
+    .some(baseUrl => baseUrl && getOrigin(baseUrl) === origin);
+};
+
+/**
+ * Builds the headers of a request to a source: the token header, if a token is set, and the
+ * headers returned by the configured header provider.
+ *
+ * @param {string} url - URL to request.
+ * @param {string} source - Lowercase source name.
+ * @param {string} [token] - Token for this request, overriding the configured one, which is only sent to trusted origins.
+ * @returns {Promise<Object<string, string>>} - The request headers.
+ */
+const getRequestHeaders = async (url, source, token) => {
+  const headers = {};
+  const auth = token || (isTokenOrigin(url, source) ? config.tokens[source] : '');
+  if (auth) {
+    headers.Authorization = `Bearer ${auth}`;
+  }
+  return config.headers ? { ...headers, ...await config.headers(url, { source }) } : headers;
+};
+
+/**
+ * Requests a URL and checks the response status.
+ *
+ * @param {string} url - URL to request.
+ * @param {Object} [init] - Request settings.
+ * @param {Object|Promise<Object>} [init.headers] - Request headers, or a Promise resolving to them.
+ * @returns {Promise<Response>} - A Promise resolving to the successful response.
+ * @throws {GetDetailsError} - If the request fails or returns an error status.
+ */
+const fetchResponse = async (url, { headers } = {}) => {
+  let response;
+  try {
+    response = await (config.fetch || fetch)(url, { headers: await headers });
+  } catch (error) {
+    // fetch() only rejects when no response arrived at all; a failing header provider counts as well
+    throw new GetDetailsError('network', `Request failed: ${url}`, { cause: error });
+  }
+  if (!response.ok) {
+    throw createHttpError(response, url);
+  }
+  return response;
+};
+
+/**
+ * Requests a URL and returns the response text, for APIs that answer with plain text.
+ *
+ * @param {string} url - URL to request.
+ * @param {Object} [init] - Request settings, see fetchResponse.
+ * @returns {Promise<string>} - A Promise resolving to the response body.
+ * @throws {GetDetailsError} - If the request fails or returns an error status.
+ */
+const fetchText = async (url, init) => (await fetchResponse(url, init)).text();
+
+/**
+ * Requests a URL and parses the JSON response.
+ *
+ * @param {string} url - URL to request.
+ * @param {Object} [init] - Request settings, see fetchResponse.
+ * @returns {Promise<*>} - A Promise resolving to the parsed response body.
+ * @throws {GetDetailsError} - If the request fails, returns an error status or the body is not JSON.
+ */
+const fetchJson = async (url, init) => {
+  const response = await fetchResponse(url, init);
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new GetDetailsError('parse', `Invalid JSON: ${url}`, { cause: error });
+  }
+};
+
+/**
+ * Converts a date string or timestamp to a Date.
+ *
+ * @param {*} value - Date string, timestamp or Date.
+ * @returns {Date|string} - The date, or an empty string if the value is empty or invalid.
+ */
+const toDate = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date : '';
+};
+
+/**
+ * Converts a date string or timestamp to an ISO 8601 string, so normalized data stays
+ * independent of the locale and time zone it is displayed in.
+ *
+ * @param {*} value - Date string, timestamp or Date.
+ * @returns {string} - The ISO string, or an empty string if the value is empty or invalid.
+ */
+const toIsoDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString() : '';
+};
+
+/**
+ * Finds the type declarations a package.json "exports" map points to, e.g. `{ ".": { "types": "./index.d.ts" } }`.
+ *
+ * @param {*} exports - The "exports" field.
+ * @returns {string} - Path of the first declaration file found, or an empty string.
+ */
+const findExportTypes = (exports) => {
+  if (!exports || typeof exports !== 'object') {
+    return '';
+  }
+  if (typeof exports.types === 'string') {
+    return exports.types;
+  }
+  for (const value of Object.values(exports['.'] ? { '.': exports['.'] } : exports)) {
+    const types = findExportTypes(value);
+    if (types) {
+      return types;
+    }
+  }
+  return '';
+};
+
+/**
+ * Reads download counts from the npm downloads API. Registries other than the public one have no such
+ * API, and a failing count should not hide the rest of the data, so failures leave the counts empty.
+ *
+ * @param {string} pkgName - Package name.
+ * @param {Function} fetchJson - The request function of the source context.
+ * @returns {Promise<Object>} - `{ lastWeek, lastMonth }`, or an empty object.
+ */
+const fetchNpmDownloads = async (pkgName, fetchJson) => {
+  try {
+    const [week, month] = await Promise.all([
+      fetchJson(`https://api.npmjs.org/downloads/point/last-week/${pkgName}`),
+      fetchJson(`https://api.npmjs.org/downloads/point/last-month/${pkgName}`)
+    ]);
+    return { lastWeek: week.downloads || 0, lastMonth: month.downloads || 0 };
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Joins an object of names and version ranges, e.g. `{ node: '>=18' }` becomes "node >=18".
+ *
+ * @param {Object<string, string>} [ranges] - Ranges keyed by name.
+ * @returns {string} - The joined ranges, or an empty string.
+ */
+const joinRanges = (ranges) => Object.entries(ranges || {}).map(([name, range]) => `${name} ${range}`).join(', ');
+
+/**
+ * NPM source. Reads the packument, which has the publish dates of all versions, and the download
+ * counts of the public registry.
+ */
+registerSource('npm', {
+  baseUrl: 'https://registry.npmjs.org',
+  fetch: async (pkgName, { baseUrl, fetchJson, version, prerelease, resolveVersion }) => {
+    const isPublic = baseUrl === 'https://registry.npmjs.org';
+    const [packument, downloads] = await Promise.all([
+      fetchJson(`${baseUrl}/${pkgName}`),
+      isPublic ? fetchNpmDownloads(pkgName, fetchJson) : {}
+    ]);
+
+    const tags = packument['dist-tags'] || {};
+    // Without a spec, "latest" is what `npm install` picks, even if a higher version exists
+    const resolved = version || prerelease || !tags.latest
+      ? resolveVersion(Object.keys(packument.versions || {}), version, { prerelease, tags })
+      : tags.latest;
+    if (!resolved || !packument.versions?.[resolved]) {
+      throw versionNotFound(pkgName, version);
+    }
+    return { manifest: packument.versions[resolved], time: packument.time || {}, downloads };
+  },
+  normalize: ({ manifest: data, time, downloads }) => ({
+    version: data.version,
+    name: data.name,
+    description: data.description || '',
+    author: typeof data.author === 'object' ? data.author.name : data.author || '',
+    license: data.license || '',
+    homepage: data.homepage || '',
+    repository: data.repository?.url || '',
+    lastUpdate: toIsoDate(time.modified),
+    releaseDate: toIsoDate(time[data.version]),
+    keywords: Array.isArray(data.keywords) ? data.keywords.join(', ') : '',
+    maintainers: Array.isArray(data.maintainers) ? data.maintainers.map(m => m.name).join(', ') : '',
+    dependencies: Object.keys(data.dependencies || {}).length || 0,
+    peerDependencies: data.peerDependencies || {},
+    engines: data.engines || {},
+    deprecated: typeof data.deprecated === 'string' ? data.deprecated : '',
+    types: data.types || data.typings || findExportTypes(data.exports),
+    unpackedSize: data.dist?.unpackedSize || 0,
+    downloads
+  }),
+  placeholders: {
+    'weekly-downloads': data => data.downloads?.lastWeek || '',
+    deprecated: 'deprecated',
+    engines: data => joinRanges(data.engines),
+    node: data => data.engines?.node || '',
+    types: 'types',
+    'peer-dependencies': data => joinRanges(data.peerDependencies),
+    size: data => data.unpackedSize || ''
+  }
+});
+
+/**
+ * Reads the upload time of a release from its files.
+ *
+ * @param {Array<Object>} [files] - Release files from the PyPI JSON API.
+ * @param {Function} pick - `(times) => number` choosing one of the upload timestamps, e.g. Math.min.
+ * @returns {string} - ISO 8601 date, or an empty string if the release has no files.
+ */
+const getUploadTime = (files, pick) => {
+  const times = (files || []).map(file => new Date(file.upload_time_iso_8601 || file.upload_time).getTime()).filter(time => !Number.isNaN(time));
+  return times.length ? new Date(pick(...times)).toISOString() : '';
+};
+
+/**
+ * Reads the platform tags of wheel files, e.g. "manylinux_2_17_x86_64" or "any" for pure Python wheels.
+ * Wheel names end with "-{python tag}-{abi tag}-{platform tag}.whl"; compressed tags are separated by dots.
+ *
+ * @param {Array<Object>} [files] - Release files from the PyPI JSON API.
+ * @returns {Array<string>} - Unique platform tags.
+ */
+const getWheelPlatforms = (files) => [...new Set((files || [])
+  .filter(file => file.packagetype === 'bdist_wheel' || file.filename?.endsWith('.whl'))
+  .flatMap(file => file.filename.replace(/\.whl$/, '').split('-').pop().split('.')))];
+
+/**
+ * Finds a project URL by label, ignoring case, e.g. "Source" or "Source Code".
+ *
+ * @param {Object<string, string>} urls - Project URLs keyed by label.
+ * @param {Array<string>} labels - Labels to look for, in order of preference.
+ * @returns {string} - The URL, or an empty string.
+ */
+const findProjectUrl = (urls, labels) => {
+  const entries = Object.entries(urls || {});
+  for (const label of labels) {
+    const entry = entries.find(([key]) => key.toLowerCase() === label);
+    if (entry) {
+      return entry[1];
+    }
+  }
+  return '';
+};
+
+/**
+ * PyPI source. Reads the JSON API document of the project. Dates come from the upload times of the
+ * release files, since PyPI has no release date field.
+ */
+registerSource('pypi', {
+  baseUrl: 'https://pypi.org/pypi',
+  fetch: async (pkgName, { baseUrl, fetchJson, version, prerelease, resolveVersion }) => {
+    const data = await fetchJson(`${baseUrl}/${pkgName}/json`);
+    if (!version && !prerelease) {
+      return data;
+    }
+
+    // Skip releases whose files were all yanked or never uploaded
+    const versions = Object.keys(data.releases || {}).filter(v => data.releases[v].some(file => !file.yanked));
+    const resolved = resolveVersion(versions, version, { prerelease });
+    if (!resolved) {
+      throw versionNotFound(pkgName, version);
+    }
+    if (resolved === data.info.version) {
+      return data;
+    }
+    // The document of a version has no release list, which the last update is read from
+    const release = await fetchJson(`${baseUrl}/${pkgName}/${resolved}/json`);
+    return { ...release, releases: data.releases };
+  },
+  normalize: (data) => {
+    const info = data.info;
+    const classifiers = info.classifiers || [];
+    const projectUrls = info.project_urls || {};
+    const releaseDate = getUploadTime(data.urls, Math.min);
+
+    return {
+      version: info.version,
+      name: info.name,
+      description: info.summary || '',
+      author: info.author || '',
+      authorEmail: info.author_email || '',
+      license: info.license || '',
+      homepage: info.home_page || findProjectUrl(projectUrls, ['homepage', 'home']) || info.project_url || '',
+      repository: findProjectUrl(projectUrls, ['source', 'source code', 'repository', 'code', 'github', 'gitlab']),
+      projectUrls,
+      lastUpdate: getUploadTime(Object.values(data.releases || {}).flat(), Math.max) || releaseDate,
+      releaseDate,
+      keywords: info.keywords || '',
+      maintainers: info.maintainer || '',
+      requiresPython: info.requires_python || '',
+      classifiers,
+      // Only "X.Y" classifiers, not "Python :: 3 :: Only" or implementation classifiers
+      pythonVersions: classifiers
+        .map(classifier => classifier.match(/^Programming Language :: Python :: (\d+\.\d+)$/)?.[1])
+        .filter(Boolean),
+      platforms: getWheelPlatforms(data.urls),
+      yanked: Boolean(info.yanked),
+      yankedReason: info.yanked_reason || ''
+    };
+  },
+  placeholders: {
+    classifiers: data => data.classifiers?.join(', ') || '',
+    'python-versions': data => data.pythonVersions?.join(', ') || '',
+    platforms: data => data.platforms?.join(', ') || '',
+    // The reason, or "yanked" when none was given, so `%?yanked[...]` sections work
+    yanked: data => (data.yanked ? data.yankedReason || 'yanked' : ''),
+    'project-urls': data => Object.entries(data.projectUrls || {}).map(([label, url]) => `${label}: ${url}`).join(', ')
+  }
+});
+
+/**
+ * Strips the "v" prefix of a release tag, e.g. "v1.2.0" to "1.2.0".
+ *
+ * @param {string} [tag] - Tag name.
+ * @returns {string} - The version, or an empty string without a tag.
+ */
+const tagVersion = tag => (tag?.startsWith('v') ? tag.slice(1) : tag || '');
+
+/**
+ * Turns a `not-found` error into an empty list, for optional requests such as tags; other errors are thrown again.
+ *
+ * @param {Error} error - The failure.
+ * @returns {Array} - An empty list.
+ * @throws {Error} - The error, unless it is `not-found`.
+ */
+const ignoreNotFound = (error) => {
+  if (error.type === 'not-found') {
+    return [];
+  }
+  throw error;
+};
+
+/**
+ * Picks the release matching the version spec from a list of GitHub or GitLab releases, and the release
+ * history starting with it.
+ *
+ * @param {Array<Object>} releases - Published releases with a `tag_name`, newest first.
+ * @param {Object} context - Source context with `version`, `prerelease`, the `releases` count and resolveVersion.
+ * @param {Function} isPrerelease - Tells whether the API marks a release as a pre-release.
+ * @returns {Object} - The `release`, undefined if none matches, and a `history` of up to `releases` releases.
+ */
+const pickRelease = (releases, { version, prerelease, releases: count = 0, resolveVersion: resolve }, isPrerelease) => {
+  const pinned = Boolean(version || prerelease);
+  // Like the latest release endpoint, skip marked pre-releases unless they are asked for
+  const candidates = pinned ? releases : releases.filter(release => !isPrerelease(release));
+  const tag = pinned ? resolve(candidates.map(release => release.tag_name), version, { prerelease }) : candidates[0]?.tag_name;
+  const release = candidates.find(item => item.tag_name === tag);
+  const start = Math.max(candidates.indexOf(release), 0);
+  return { release, history: candidates.slice(start, start + count) };
+};
+
+/**
+ * Maps a release of the normalized data to its template values, see RELEASE_PLACEHOLDERS.
+ *
+ * @param {Object} release - Normalized release.
+ * @returns {Object} - Placeholder values of the release.
+ */
+const toReleaseValues = release => ({
+  version: release.version,
+  tag: release.tag,
+  name: release.name,
+  'release-date': toDate(release.releaseDate),
+  'release-notes': release.releaseNotes,
+  url: release.url,
+  prerelease: release.prerelease ? 'pre-release' : '',
+  assets: (release.assets || []).map(toAssetValues)
+});
+
+/**
+ * Maps a release asset of the normalized data to its template values, see RELEASE_PLACEHOLDERS.
+ *
+ * @param {Object} asset - Normalized asset.
+ * @returns {Object} - Placeholder values of the asset.
+ */
+const toAssetValues = asset => ({
+  name: asset.name,
+  url: asset.url,
+  size: asset.size ?? '',
+  downloads: asset.downloads ?? '',
+  'content-type': asset.contentType || ''
+});
+
+/**
+ * Placeholders of the GitHub and GitLab sources. `%assets` and `%releases` are lists, repeated with
+ * `%*assets[...]` and `%*releases[...]`; inside, the placeholders of an item (`%name`, `%url`, `%size`,
+ * `%downloads` and `%content-type` of assets, `%version`, `%tag`, `%name`, `%release-date`, `%release-notes`,
+ * `%url`, `%prerelease` and `%assets` of releases) replace those of the package.
+ */
+const RELEASE_PLACEHOLDERS = {
+  assets: data => (data.assets || []).map(toAssetValues),
+  releases: data => (data.releases || []).map(toReleaseValues),
+  'release-url': 'releaseUrl',
+  'release-author': 'releaseAuthor'
+};
+
+/**
+ * Finds the GitHub tag matching a version spec, for repositories that tag versions without publishing
+ * releases, and shapes it like a release. Tags have no date, so it comes from the tagged commit.
+ *
+ * @param {string} repoPath - Repository path "owner/repo".
+ * @param {Object} repoData - Repository details, for the tag URL.
+ * @param {Object} context - Source context.
+ * @returns {Promise<Object|null>} - A release-like object, or null if no tag matches.
+ */
+const findGitHubTag = async (repoPath, repoData, { baseUrl, fetchJson, version, prerelease, resolveVersion: resolve }) => {
+  const tags = await fetchJson(`${baseUrl}/repos/${repoPath}/tags?per_page=100`).catch(ignoreNotFound);
+  const resolved = resolve(tags.map(tag => tag.name), version, { prerelease });
+  const tag = tags.find(item => item.name === resolved);
+  if (!tag) {
+    return null;
+  }
+
+  const commit = await fetchJson(`${baseUrl}/repos/${repoPath}/commits/${tag.commit.sha}`);
+  return {
+    tag_name: tag.name,
+    name: tag.name,
+    published_at: commit.commit?.committer?.date || commit.commit?.author?.date,
+    html_url: `${repoData.html_url}/tree/${encodeURIComponent(tag.name)}`,
+    author: commit.author,
+    body: '',
+    assets: []
+  };
+};
+
+/**
+ * Normalizes the assets of a GitHub release.
+ *
+ * @param {Object} [release] - Release from the API.
+ * @returns {Array<Object>} - Assets with `name`, download `url`, `size` in bytes, `downloads` and `contentType`.
+ */
+const getGitHubAssets = release => (release?.assets || []).map(asset => ({
+  name: asset.name,
+  url: asset.browser_download_url,
+  size: asset.size,
+  downloads: asset.download_count,
+  contentType: asset.content_type || ''
+}));
+
+/**
+ * Normalizes a GitHub release for the release history.
+ *
+ * @param {Object} release - Release from the API.
+ * @returns {Object} - Release with `version`, `tag`, `name`, `releaseDate`, `releaseNotes`, `url`, `prerelease` and `assets`.
+ */
+const toGitHubRelease = release => ({
+  version: tagVersion(release.tag_name),
+  tag: release.tag_name,
+  name: release.name || release.tag_name,
+  releaseDate: toIsoDate(release.published_at),
+  releaseNotes: release.body || '',
+  url: release.html_url || '',
+  prerelease: Boolean(release.prerelease),
+  assets: getGitHubAssets(release)
+});
+
+/**
+ * GitHub source. Package names are repository paths in the format "owner/repo".
+ * Repositories without a matching release fall back to their tags.
+ */
+registerSource('github', {
+  baseUrl: 'https://api.github.com',
+  fetch: async (repoPath, context) => {
+    const { baseUrl, fetchJson, version, prerelease, releases: count } = context;
+    const listed = Boolean(version || prerelease || count);
+
+    // Fetch release(s) and repository details in parallel. The latest release endpoint answers 404 for
+    // repositories without releases, like for missing ones; the repository request tells them apart
+    const [releases, repoData] = await Promise.all([
+      listed
+        ? fetchJson(`${baseUrl}/repos/${repoPath}/releases?per_page=100`)
+        : fetchJson(`${baseUrl}/repos/${repoPath}/releases/latest`).then(release => [release], ignoreNotFound),
+      fetchJson(`${baseUrl}/repos/${repoPath}`)
+    ]);
+
+    const { release, history } = pickRelease(releases.filter(item => !item.draft), context, item => item.prerelease);
+    const releaseData = release || await findGitHubTag(repoPath, repoData, context);
+    if (!releaseData && version) {
+      throw versionNotFound(repoPath, version);
+    }
+    return { releaseData, history, repoData };
+  },
+  normalize: ({ releaseData, history = [], repoData }) => {
+    const assets = getGitHubAssets(releaseData);
+    const downloads = assets.reduce((sum, asset) => sum + (asset.downloads || 0), 0);
+
+    return {
+      version: tagVersion(releaseData?.tag_name),
+      name: repoData.name,
+      fullName: repoData.full_name,
+      description: repoData.description || '',
+      owner: repoData.owner.login,
+      stars: repoData.stargazers_count,
+      watchers: repoData.watchers_count,
+      forks: repoData.forks_count,
+      homepage: repoData.homepage || '',
+      license: repoData.license?.name || '',
+      lastUpdate: toIsoDate(repoData.updated_at),
+      language: repoData.language || '',
+      releaseDate: toIsoDate(releaseData?.published_at),
+      releaseAuthor: releaseData?.author?.login || '',
+      releaseNotes: releaseData?.body || '',
+      releaseUrl: releaseData?.html_url || '',
+      assets,
+      // Asset downloads of the release; GitHub counts no other downloads
+      ...(downloads ? { downloads: { total: downloads } } : {}),
+      releases: history.map(toGitHubRelease),
+      openIssues: repoData.open_issues_count,
+      defaultBranch: repoData.default_branch
+    };
+  },
+  placeholders: RELEASE_PLACEHOLDERS
+});
+
+/**
+ * Finds the GitLab tag matching a version spec, for projects that tag versions without creating releases,
+ * and shapes it like a release.
+ *
+ * @param {string} encodedPath - URL-encoded project path.
+ * @param {Object} repoData - Project details, for the tag URL.
+ * @param {Object} context - Source context.
+ * @returns {Promise<Object|null>} - A release-like object, or null if no tag matches.
+ */
+const findGitLabTag = async (encodedPath, repoData, { baseUrl, fetchJson, version, prerelease, resolveVersion: resolve }) => {
+  const tags = await fetchJson(`${baseUrl}/projects/${encodedPath}/repository/tags?per_page=100`).catch(ignoreNotFound);
+  const resolved = resolve(tags.map(tag => tag.name), version, { prerelease });
+  const tag = tags.find(item => item.name === resolved);
+  if (!tag) {
+    return null;
+  }
+  return {
+    tag_name: tag.name,
+    name: tag.name,
+    released_at: tag.commit?.committed_date || tag.commit?.created_at,
+    description: tag.release?.description || tag.message || '',
+    author: { name: tag.commit?.author_name || '' },
+    _links: { self: `${repoData.web_url}/-/tags/${encodeURIComponent(tag.name)}` },
+    assets: { links: [] }
+  };
+};
+
+/**
+ * Normalizes the asset links of a GitLab release. GitLab counts no downloads and has no sizes for links.
+ *
+ * @param {Object} [release] - Release from the API.
+ * @returns {Array<Object>} - Assets with `name`, `url` and `contentType`, the link type such as "package".
+ */
+const getGitLabAssets = release => (release?.assets?.links || []).map(link => ({
+  name: link.name,
+  url: link.direct_asset_url || link.url,
+  contentType: link.link_type || ''
+}));
+
+/**
+ * Normalizes a GitLab release for the release history.
+ *
+ * @param {Object} release - Release from the API.
+ * @returns {Object} - Release like toGitHubRelease returns it.
+ */
+const toGitLabRelease = release => ({
+  version: tagVersion(release.tag_name),
+  tag: release.tag_name,
+  name: release.name || release.tag_name,
+  releaseDate: toIsoDate(release.released_at),
+  releaseNotes: release.description || '',
+  url: release._links?.self || '',
+  prerelease: Boolean(release.upcoming_release),
+  assets: getGitLabAssets(release)
+});
+
+/**
+ * GitLab source. Package names are repository paths in the format "owner/repo" or "group/subgroup/repo".
+ * Projects without a matching release fall back to their tags.
+ */
+registerSource('gitlab', {
+  baseUrl: 'https://gitlab.com/api/v4',
+  fetch: async (repoPath, context) => {
+    const { baseUrl, fetchJson, version } = context;
+    // URL encode the repository path
+    const encodedPath = encodeURIComponent(repoPath);
+
+    // Fetch releases and repository details in parallel; GitLab returns releases newest first
+    const [releases, repoData] = await Promise.all([
+      fetchJson(`${baseUrl}/projects/${encodedPath}/releases?per_page=100`),
+      fetchJson(`${baseUrl}/projects/${encodedPath}`)
+    ]);
+
+    const { release, history } = pickRelease(releases, context, item => item.upcoming_release);
+    const releaseData = release || await findGitLabTag(encodedPath, repoData, context);
+    if (!releaseData && version) {
+      throw versionNotFound(repoPath, version);
+    }
+    return { releaseData, history, repoData };
+  },
+  normalize: ({ releaseData, history = [], repoData }) => ({
+    version: tagVersion(releaseData?.tag_name),
+    name: repoData.name,
+    fullName: repoData.path_with_namespace,
+    description: repoData.description || '',
+    owner: repoData.namespace.name,
+    stars: repoData.star_count,
+    forks: repoData.forks_count,
+    homepage: repoData.web_url || '',
+    license: repoData.license?.name || '',
+    lastUpdate: toIsoDate(repoData.last_activity_at),
+    language: repoData.predominant_language || '',
+    releaseDate: toIsoDate(releaseData?.released_at),
+    releaseAuthor: releaseData?.author?.name || '',
+    releaseNotes: releaseData?.description || '',
+    releaseUrl: releaseData?._links?.self || '',
+    assets: getGitLabAssets(releaseData),
+    releases: history.map(toGitLabRelease),
+    openIssues: repoData.open_issues_count,
+    defaultBranch: repoData.default_branch
+  }),
+  placeholders: RELEASE_PLACEHOLDERS
+});
+
+/**
+ * crates.io source. Prefers the newest stable version over pre-releases.
+ */
+registerSource('crates', {
+  baseUrl: 'https://crates.io/api/v1',
+  fetch: (crateName, { baseUrl, fetchJson }) => fetchJson(`${baseUrl}/crates/${crateName}`),
+  normalize: ({ crate, versions = [] }, crateName, context) => {
+    let version = crate.max_stable_version || crate.max_version || crate.newest_version;
+
+    if (context.version || context.prerelease) {
+      const available = versions.filter(v => !v.yanked).map(v => v.num);
+      version = context.resolveVersion(available, context.version, { prerelease: context.prerelease });
+      if (!version) {
+        throw versionNotFound(crateName, context.version);
+      }
+    }
+
+    const release = versions.find(v => v.num === version) || {};
+
+    return {
+      version,
+      name: crate.name,
+      description: crate.description || '',
+      author: release.published_by?.name || release.published_by?.login || '',
+      license: release.license || '',
+      homepage: crate.homepage || crate.documentation || '',
+      repository: crate.repository || '',
+      lastUpdate: toIsoDate(crate.updated_at),
+      keywords: Array.isArray(crate.keywords) ? crate.keywords.join(', ') : '',
+      releaseDate: toIsoDate(release.created_at),
+      downloads: {
+        total: crate.downloads || 0,
+        recent: crate.recent_downloads || 0
+      }
+    };
+  }
+});
+
+/**
+ * Packagist source. Package names are in the format "vendor/package".
+ * The metadata endpoint lists tagged releases newest first; the newest stable one is shown by default.
+ */
+registerSource('packagist', {
+  baseUrl: 'https://repo.packagist.org',
+  fetch: async (pkgName, { baseUrl, fetchJson }) => {
+    const data = await fetchJson(`${baseUrl}/p2/${pkgName}.json`);
+    const minified = data.packages[pkgName.toLowerCase()] || data.packages[pkgName] || [];
+
+    // Minified metadata only lists fields that changed from the previous (newer) release
+    let previous = {};
+    return minified.map((release) => {
+      const expanded = { ...previous, ...release };
+      Object.keys(expanded).forEach(key => expanded[key] === '__unset' && delete expanded[key]);
+      previous = expanded;
+      return expanded;
+    });
+  },
+  normalize: (releases, pkgName, { version, prerelease, resolveVersion }) => {
+    // Like crates and NuGet, the newest stable release, or the newest release if none is stable
+    let latest = releases.find(release => parseVersion(release.version)?.prerelease.length === 0) || releases[0];
+
+    if (version || prerelease) {
+      const resolved = resolveVersion(releases.map(release => release.version), version, { prerelease });
+      latest = releases.find(release => release.version === resolved);
+    }
+    if (!latest) {
+      throw versionNotFound(pkgName, version);
+    }
+
+    return {
+      version: latest.version.startsWith('v') ? latest.version.slice(1) : latest.version,
+      name: latest.name,
+      description: latest.description || '',
+      author: Array.isArray(latest.authors) ? latest.authors.map(a => a.name).join(', ') : '',
+      license: Array.isArray(latest.license) ? latest.license.join(', ') : '',
+      homepage: latest.homepage || '',
+      repository: latest.source?.url || '',
+      lastUpdate: toIsoDate(latest.time),
+      keywords: Array.isArray(latest.keywords) ? latest.keywords.join(', ') : '',
+      dependencies: Object.keys(latest.require || {}).length || 0
+    };
+  }
+});
+
+/**
+ * RubyGems source.
+ */
+registerSource('rubygems', {
+  baseUrl: 'https://rubygems.org/api/v1',
+  fetch: (gemName, { baseUrl, fetchJson, version }) => {
+    rejectVersionSpec('RubyGems', gemName, version);
+    return fetchJson(`${baseUrl}/gems/${gemName}.json`);
+  },
+  normalize: (data) => ({
+    version: data.version,
+    name: data.name,
+    description: data.info || '',
+    author: data.authors || '',
+    license: Array.isArray(data.licenses) ? data.licenses.join(', ') : '',
+    homepage: data.homepage_uri || data.project_uri || '',
+    repository: data.source_code_uri || '',
+    lastUpdate: toIsoDate(data.version_created_at),
+    dependencies: data.dependencies?.runtime?.length || 0,
+    downloads: {
+      total: data.downloads || 0
+    }
+  })
+});
+
+/**
+ * Maven Central source. Package names are in the format "groupId:artifactId".
+ * The search API only provides coordinates, the latest version and its timestamp.
+ */
+registerSource('maven', {
+  baseUrl: 'https://search.maven.org/solrsearch',
+  fetch: async (coordinates, { baseUrl, fetchJson, version }) => {
+    rejectVersionSpec('Maven Central', coordinates, version);
+    const [groupId, artifactId] = coordinates.split(':');
+    const query = encodeURIComponent(`g:"${groupId}" AND a:"${artifactId}"`);
+    const data = await fetchJson(`${baseUrl}/select?q=${query}&rows=1&wt=json`);
+    return data.response?.docs?.[0];
+  },
+  normalize: (doc, coordinates) => {
+    if (!doc) {
+      throw new GetDetailsError('not-found', `Artifact ${coordinates} not found`);
+    }
+
+    return {
+      version: doc.latestVersion,
+      name: doc.a,
+      fullName: doc.id,
+      owner: doc.g,
+      lastUpdate: toIsoDate(doc.timestamp),
+      releaseDate: toIsoDate(doc.timestamp)
+    };
+  }
+});
+
+/**
+ * NuGet source. Reads the package registration and prefers the newest listed stable version.
+ * Registrations are split into pages of versions, oldest first: a version spec may match any of
+ * them, so all are read, and otherwise pages are read from the newest until one has a stable version.
+ */
+registerSource('nuget', {
+  baseUrl: 'https://api.nuget.org/v3',
+  fetch: async (packageId, { baseUrl, fetchJson, version }) => {
+    const index = await fetchJson(`${baseUrl}/registration5-gz-semver2/${packageId.toLowerCase()}/index.json`);
+    // Large registrations link to their pages instead of inlining them
+    const readPage = async page => (page.items ? page : await fetchJson(page['@id'])).items.map(item => item.catalogEntry);
+
+    if (version) {
+      return (await Promise.all(index.items.map(readPage))).flat();
+    }
+    const entries = [];
+    for (const page of [...index.items].reverse()) {
+      entries.unshift(...await readPage(page));
+      if (entries.some(entry => entry.listed !== false && !entry.version.includes('-'))) {
+        break;
+      }
+    }
+    return entries;
+  },
+  normalize: (entries, packageId, { version, prerelease, resolveVersion }) => {
+    const listed = entries.filter(entry => entry.listed !== false);
+    const stable = listed.filter(entry => !entry.version.includes('-'));
+    const candidates = stable.length ? stable : listed;
+    let latest = candidates[candidates.length - 1];
+
+    if (version || prerelease) {
+      const resolved = resolveVersion(listed.map(entry => entry.version), version, { prerelease });
+      latest = listed.find(entry => entry.version === resolved);
+    }
+    if (!latest) {
+      throw versionNotFound(packageId, version);
+    }
+
+    return {
+      version: latest.version,
+      name: latest.id,
+      description: latest.description || latest.summary || '',
+      author: latest.authors || '',
+      license: latest.licenseExpression || '',
+      homepage: latest.projectUrl || '',
+      lastUpdate: toIsoDate(latest.published),
+      keywords: Array.isArray(latest.tags) ? latest.tags.join(', ') : latest.tags || ''
+    };
+  }
+});
+
+/**
+ * Go module proxy source. Package names are module paths such as "github.com/owner/repo".
+ * Version specs and pre-releases are resolved against the tagged versions the proxy lists.
+ */
+registerSource('go', {
+  baseUrl: 'https://proxy.golang.org',
+  fetch: async (modulePath, { baseUrl, fetchJson, fetchText, version, prerelease, resolveVersion: resolve }) => {
+    // The proxy protocol escapes uppercase letters as "!" followed by the lowercase letter
+    const escapedPath = modulePath.replace(/[A-Z]/g, letter => `!${letter.toLowerCase()}`);
+    if (!version && !prerelease) {
+      return fetchJson(`${baseUrl}/${escapedPath}/@latest`);
+    }
+
+    const versions = (await fetchText(`${baseUrl}/${escapedPath}/@v/list`)).split('\n').filter(Boolean);
+    // Modules without tags only have pseudo-versions, which the list leaves out
+    if (!versions.length && !version) {
+      return fetchJson(`${baseUrl}/${escapedPath}/@latest`);
+    }
+    const resolved = resolve(versions, version, { prerelease });
+    if (!resolved) {
+      throw versionNotFound(modulePath, version);
+    }
+    return fetchJson(`${baseUrl}/${escapedPath}/@v/${resolved}.info`);
+  },
+  normalize: (data, modulePath) => ({
+    version: data.Version.startsWith('v') ? data.Version.slice(1) : data.Version,
+    name: modulePath.split('/').pop(),
+    fullName: modulePath,
+    homepage: `https://pkg.go.dev/${modulePath}`,
+    repository: data.Origin?.URL || '',
+    lastUpdate: toIsoDate(data.Time),
+    releaseDate: toIsoDate(data.Time)
+  })
+});
+
+/**
+ * Docker Hub source. Package names are image names such as "nginx" or "owner/image";
+ * official images live in the "library" namespace. The version is the most recently
+ * pushed tag that looks like a version number.
+ */
+registerSource('docker', {
+  baseUrl: 'https://hub.docker.com/v2',
+  fetch: async (image, { baseUrl, fetchJson, version }) => {
+    rejectVersionSpec('Docker Hub', image, version);
+    const repoPath = image.includes('/') ? image : `library/${image}`;
+    const [repoData, tags] = await Promise.all([
+      fetchJson(`${baseUrl}/repositories/${repoPath}/`),
+      fetchJson(`${baseUrl}/repositories/${repoPath}/tags/?page_size=100&ordering=last_updated`)
+    ]);
+    return { repoData, tags: tags.results || [] };
+  },
+  normalize: ({ repoData, tags }) => {
+    const versionTag = tags.find(tag => /^v?\d+(\.\d+)*$/.test(tag.name));
+    const version = versionTag?.name || tags[0]?.name || '';
+
+    return {
+      version: version.startsWith('v') ? version.slice(1) : version,
+      name: repoData.name,
+      fullName: `${repoData.namespace}/${repoData.name}`,
+      description: repoData.description || '',
+      owner: repoData.namespace,
+      stars: repoData.star_count,
+      homepage: `https://hub.docker.com/${repoData.namespace === 'library' ? '_' : `r/${repoData.namespace}`}/${repoData.name}`,
+      lastUpdate: toIsoDate(repoData.last_updated),
+      releaseDate: toIsoDate(versionTag?.last_updated),
+      downloads: {
+        total: repoData.pull_count || 0
+      }
+    };
+  },
+  placeholders: {
+    pulls: data => data.downloads?.total ?? ''
+  }
+});
+
+const CACHE_PREFIX = 'get-details:';
+
+const DEFAULT_CACHE = {
+  ttl: 3600,
+  storage: 'local',
+  staleWhileRevalidate: true
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parses a cache setting from the data-get-details-cache attribute or the `cache` option.
+ *
+ * Accepts `false` or "off" to disable caching, a TTL in seconds or with a unit ("90", "30m", "6h", "1d"),
+ * the storage keywords "local" and "session", "no-stale" to wait for fresh data once the TTL expires,
+ * or an object with `ttl`, `storage` and `staleWhileRevalidate` keys.
+ *
+ * @param {string|number|boolean|Object} [value] - Cache setting; the defaults are used when empty.
+ * @returns {Object|null} - Cache settings, or null when caching is disabled.
+ */
+const parseCache = (value) => {
+  if (value === false) {
+    return null;
+  }
+  if (value === undefined || value === null || value === true || value === '') {
+    return { ...DEFAULT_CACHE };
+  }
+  if (typeof value === 'number') {
+    return { ...DEFAULT_CACHE, ttl: value };
+  }
+  if (typeof value === 'object') {
+    return value.storage === 'none' ? null : { ...DEFAULT_CACHE, ...value };
+  }
+
+  const settings = { ...DEFAULT_CACHE };
+  for (const token of String(value).toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+    const duration = token.match(/^(\d+(?:\.\d+)?)([smhd]?)$/);
+    if (['off', 'false', 'none', 'no-cache'].includes(token)) {
+      return null;
+    } else if (duration) {
+      settings.ttl = parseFloat(duration[1]) * DURATION_UNITS[duration[2] || 's'];
+    } else if (token === 'local' || token === 'session') {
+      settings.storage = token;
+    } else if (token === 'no-stale') {
+      settings.staleWhileRevalidate = false;
+    }
+  }
+  return settings;
+};
+
+/**
+ * Returns the Web Storage area for the given cache settings.
+ * Storage access throws in some privacy modes, in which case caching is skipped.
+ *
+ * @param {Object} settings - Cache settings returned by parseCache.
+ * @returns {Storage|null} - localStorage or sessionStorage, or null when unavailable.
+ */
+const getStorage = (settings) => {
+  try {
+    return settings.storage === 'session' ? window.sessionStorage : window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Reads a cached entry.
+ *
+ * @param {Storage} storage - Storage area to read from.
+ * @param {string} key - Cache key.
+ * @returns {Object|null} - Entry with `data` and `time` (ms timestamp), or null if missing or unreadable.
+ */
+const readCache = (storage, key) => {
+  try {
+    const entry = JSON.parse(storage.getItem(key));
+    return entry && entry.data && typeof entry.time === 'number' ? entry : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Writes normalized data to the cache, ignoring quota errors.
+ *
+ * @param {Storage} storage - Storage area to write to.
+ * @param {string} key - Cache key.
+ * @param {Object} data - Normalized package data.
+ */
+const writeCache = (storage, key, data) => {
+  try {
+    storage.setItem(key, JSON.stringify({ time: Date.now(), data }));
+  } catch (error) { }
+};
+
+/**
+ * Resolves the API base URL for a source: the per-element override, then the global
+ * configuration, then the source default.
+ *
+ * @param {string} source - The source name.
+ * @param {string} [baseUrl] - Base URL override.
+ * @returns {string} - The base URL without a trailing slash.
+ */
+const resolveBaseUrl = (source, baseUrl) => {
+  const name = source.toLowerCase();
+  return (baseUrl || config.baseUrls[name] || sources.get(name)?.baseUrl || '').replace(/\/+$/, '');
+};
+
+/**
+ * Builds the key identifying a package request for deduplication and caching.
+ * The base URL is only part of the key when it differs from the source default, and the proxy endpoint
+ * when one is used, so a proxy handler in the same process never waits for its own client request.
+ *
+ * @param {string} source - The source name.
+ * @param {string} pkg - The package or repository name.
+ * @param {Object} request - Request options: the resolved `baseUrl`, `version` spec, `prerelease` flag and `releases` count, and the `proxy` endpoint.
+ * @returns {string} - Request key, e.g. "npm:bootstrap" or "npm:bootstrap@^5".
+ */
+const getRequestKey = (source, pkg, { baseUrl, version, prerelease, releases, proxy }) => {
+  const name = source.toLowerCase();
+  const isDefault = baseUrl === (sources.get(name)?.baseUrl || '').replace(/\/+$/, '');
+  return `${name}:${pkg}${version ? `@${version}` : ''}${prerelease ? '+pre' : ''}${releases ? ` releases=${releases}` : ''}${isDefault ? '' : ` ${baseUrl}`}${proxy ? ` via ${proxy}` : ''}`;
+};
+
+/**
+ * Requests currently in flight, keyed by "source:package".
+ * Elements that reference the same package while a request is pending share its promise.
+ */
+const pendingRequests = new Map();
+
+/**
+ * Checks whether a fetcher returned usable data.
+ *
+ * @param {Object} [data] - Normalized package data.
+ * @returns {boolean} - True if the object has at least one field.
+ */
+const hasData = (data) => Boolean(data && Object.keys(data).length);
+
+/**
+ * Loads normalized package data from a proxy endpoint. Only the header provider's headers are sent;
+ * source tokens and base URLs stay with the server.
+ *
+ * @param {string} source - Lowercase source name.
+ * @param {string} pkg - The package or repository name.
+ * @param {Object} request - Request options: the `proxy` endpoint, `version` spec, `prerelease` flag and `releases` count.
+ * @returns {Promise<Object>} - A Promise resolving to the normalized package data.
+ * @throws {GetDetailsError} - The error reported by the proxy, or a `network`, `http` or `parse` error.
+ */
+const fetchProxy = async (source, pkg, { proxy, version, prerelease, releases }) => {
+  const params = new URLSearchParams({ source, pkg });
+  if (version) {
+    params.set('version', version);
+  }
+  if (prerelease) {
+    params.set('prerelease', '1');
+  }
+  if (releases) {
+    params.set('releases', String(releases));
+  }
+  const url = `${proxy}${proxy.includes('?') ? '&' : '?'}${params}`;
+
+  let response;
+  try {
+    response = await (config.fetch || fetch)(url, { headers: config.headers ? await config.headers(url, { source }) : {} });
+  } catch (error) {
+    throw new GetDetailsError('network', `Request failed: ${url}`, { cause: error });
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    // The proxy forwards the upstream error as `{ error: { type, message, resetAt } }`
+    const { type, message, resetAt } = body?.error || {};
+    if (!ERROR_TYPES.includes(type)) {
+      throw createHttpError(response, url);
+    }
+    throw new GetDetailsError(type, message || `Proxy error: ${type}`, { status: response.status, resetAt: toDate(resetAt) || null });
+  }
+  if (!body || typeof body !== 'object') {
+    throw new GetDetailsError('parse', `Invalid JSON: ${url}`);
+  }
+  return body;
+};
+
+/**
+ * Fetches data directly from a registered source, or from a proxy endpoint, bypassing the cache.
+ *
+ * @param {string} source - The source from which to fetch data.
+ * @param {string} pkg - The package or repository name.
+ * @param {Object} request - Request options: the resolved `baseUrl`, `version` spec and `prerelease` flag, a `token`
+ *   overriding the configured one and the `proxy` endpoint, if any.
+ * @returns {Promise<Object>} - A Promise resolving to an object containing version and other metadata.
+ * @throws {GetDetailsError} - If the source is not registered or its data cannot be loaded. Other errors
+ *   thrown by the source, such as reading a field of an unexpected response, become `parse` errors.
+ */
+const fetchData = async (source, pkg, request) => {
+  if (request.proxy) {
+    return fetchProxy(source.toLowerCase(), pkg, request);
+  }
+
+  const definition = sources.get(source.toLowerCase());
+  if (!definition) {
+    throw new GetDetailsError('unsupported', `Unsupported source: ${source}`);
+  }
+
+  try {
+    const { token, proxy, ...options } = request;
+    const name = source.toLowerCase();
+    // Sources only see a fetchJson that sends the headers, never the token itself
+    const context = {
+      ...options,
+      source: name,
+      fetchJson: url => fetchJson(url, { headers: getRequestHeaders(url, name, token) }),
+      fetchText: url => fetchText(url, { headers: getRequestHeaders(url, name, token) }),
+      resolveVersion
+    };
+    const raw = await definition.fetch(pkg, context);
+    const data = definition.normalize(raw, pkg, context);
+    if (!data || typeof data !== 'object') {
+      throw new GetDetailsError('parse', `Source ${source} returned no data for ${pkg}`);
+    }
+    return data;
+  } catch (error) {
+    if (error instanceof GetDetailsError) {
+      throw error;
+    }
+    throw new GetDetailsError('parse', `Reading ${source} data for ${pkg} failed: ${error.message}`, { cause: error });
+  }
+};
+
+/**
+ * Fetches data from a source, sharing one request between concurrent callers for the same package.
+ *
+ * @param {string} source - The source from which to fetch data.
+ * @param {string} pkg - The package or repository name.
+ * @param {Object} request - Request options: the resolved `baseUrl`, `version` spec and `prerelease` flag.
+ * @returns {Promise<Object>} - A Promise resolving to an object containing version and other metadata.
+ * @throws {Error} - If the source is unsupported or the request fails.
+ */
+const fetchShared = (source, pkg, request) => {
+  const key = getRequestKey(source, pkg, request);
+
+  if (!pendingRequests.has(key)) {
+    const pending = fetchData(source, pkg, request).finally(() => pendingRequests.delete(key));
+    pendingRequests.set(key, pending);
+  }
+
+  return pendingRequests.get(key);
+};
+
+/**
+ * Retrieves data from a registered source through the response cache.
+ * Fresh entries are returned without a request. Expired entries are returned at once while a
+ * background request refreshes them, and `onUpdate` receives the new data when it arrives.
+ *
+ * @param {string} source - The source from which to fetch data.
+ * @param {string} pkg - The package or repository name.
+ * @param {Object} [options] - Retrieval options.
+ * @param {string|number|boolean|Object} [options.cache] - Cache setting, see parseCache.
+ * @param {Function} [options.onUpdate] - Called with fresh data after a background refresh.
+ * @param {string} [options.baseUrl] - API base URL override for this request.
+ * @param {string} [options.version] - Version spec: a semver range, dist-tag or pre-release channel. Defaults to the latest version.
+ * @param {boolean} [options.prerelease=false] - Whether pre-release versions may be picked.
+ * @param {number|string} [options.releases=0] - Number of past releases to include, for sources with release history; at most 100.
+ * @param {string} [options.token] - API token for this request, overriding the configured one. It is not part of the cache key.
+ * @param {string|false} [options.proxy] - Proxy endpoint for this request, or false to call the API directly. Defaults to the configured one.
+ * @returns {Promise<Object>} - A Promise resolving to an object containing version and other metadata.
+ * @throws {Error} - If the source is unsupported or the request fails.
+ */
+const getData = async (source, pkg, { cache, onUpdate, baseUrl, version, prerelease = false, releases, token, proxy = config.proxy } = {}) => {
+  const settings = parseCache(cache);
+  const storage = settings && getStorage(settings);
+  const request = {
+    baseUrl: resolveBaseUrl(source, baseUrl),
+    version,
+    prerelease,
+    releases: Math.min(Math.max(Number.parseInt(releases, 10) || 0, 0), 100),
+    token,
+    proxy
+  };
+
+  if (!storage) {
+    return fetchShared(source, pkg, request);
+  }
+
+  const key = `${CACHE_PREFIX}${getRequestKey(source, pkg, request)}`;
+  const entry = readCache(storage, key);
+
+  const refresh = async () => {
+    const data = await fetchShared(source, pkg, request);
+    if (hasData(data)) {
+      writeCache(storage, key, data);
+    }
+    return data;
+  };
+
+  if (entry && Date.now() - entry.time < settings.ttl * 1000) {
+    return entry.data;
+  }
+
+  if (entry && settings.staleWhileRevalidate) {
+    refresh()
+      .then((data) => hasData(data) && onUpdate && onUpdate(data))
+      .catch(() => { });
+    return entry.data;
+  }
+
+  return refresh();
+};
+
+const STATES = ['loading', 'loaded', 'error'];
+
+/**
+ * Marks elements with a `get-details-loading`, `get-details-loaded` or `get-details-error` class and the
+ * matching `data-get-details-state` attribute. Failed elements also get the error type in `data-get-details-error`.
+ *
+ * @param {Array<HTMLElement>} elements - Elements to mark.
+ * @param {string} state - 'loading', 'loaded' or 'error'.
+ * @param {Error} [error] - The error for the 'error' state.
+ */
+const setState = (elements, state, error) => {
+  elements.forEach((element) => {
+    STATES.forEach(name => element.classList.toggle(`get-details-${name}`, name === state));
+    element.setAttribute('data-get-details-state', state);
+    if (error?.type) {
+      element.setAttribute('data-get-details-error', error.type);
+    } else {
+      element.removeAttribute('data-get-details-error');
+    }
+  });
+};
+
+/**
+ * Dispatches a bubbling `getdetails:loading`, `getdetails:loaded` or `getdetails:error` event.
+ *
+ * @param {HTMLElement} el - Element with the data-get-details attribute.
+ * @param {string} name - Event name without the prefix.
+ * @param {Object} detail - Event detail: `source`, `pkg` and `version`, plus `data` or `error`; `entries` for collections.
+ */
+const emit = (el, name, detail) => {
+  el.dispatchEvent(new CustomEvent(`getdetails:${name}`, { bubbles: true, detail }));
+};
+
+/**
+ * Characters replaced by escapeHtml().
+ */
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes a value for insertion into HTML.
+ *
+ * @param {*} value - Value to escape.
+ * @returns {string} - The escaped string.
+ */
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * Tags and attributes allowed in rendered markdown.
+ */
+const ALLOWED_TAGS = {
+  a: ['href'], blockquote: [], br: [], code: ['class'], del: [], em: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [], li: [], ol: [], p: [], pre: [], strong: [], ul: []
+};
+
+const RAW_HTML = /<!--[\s\S]*?-->|<\/?[a-z][^>]*>/gi;
+
+/**
+ * Reverses escapeHtml().
+ *
+ * @param {string} value - Escaped string.
+ * @returns {string} - The unescaped string.
+ */
+const unescapeHtml = (value) => value.replace(/&(amp|lt|gt|quot|#39);/g, (entity) => (
+  Object.keys(HTML_ENTITIES).find(char => HTML_ENTITIES[char] === entity)
+));
+
+/**
+ * Checks whether a link target is safe to render: http(s), mailto, relative paths and fragments.
+ *
+ * @param {string} url - Link target.
+ * @returns {boolean} - True if the URL can be used as a link.
+ */
+const isSafeUrl = (url) => /^(https?:|mailto:|\/|\.|#)/i.test(url.trim()) || !/^[a-z][a-z0-9+.-]*:/i.test(url.trim());
+
+/**
+ * Removes tags and attributes that are not in ALLOWED_TAGS, and links with unsafe targets.
+ *
+ * @param {string} html - HTML string.
+ * @returns {string} - The sanitized HTML string.
+ */
+const sanitizeHtml = (html) => html.replace(/<(\/?)([a-z][a-z0-9]*)([^>]*)>/gi, (tag, closing, tagName, attrs) => {
+  const name = tagName.toLowerCase();
+  const allowed = ALLOWED_TAGS[name];
+  if (!allowed) {
+    return '';
+  }
+  if (closing) {
+    return `</${name}>`;
+  }
+
+  const kept = [];
+  for (const [, attrName, value] of attrs.matchAll(/([a-z-]+)="([^"]*)"/gi)) {
+    const attr = attrName.toLowerCase();
+    const valid = allowed.includes(attr)
+      && (attr !== 'href' || isSafeUrl(unescapeHtml(value)))
+      && (attr !== 'class' || /^language-[\w+-]+$/.test(value));
+    if (valid) {
+      kept.push(` ${attr}="${value}"`);
+    }
+  }
+  return `<${name}${kept.join('')}>`;
+});
+
+/**
+ * Renders inline markdown: code spans, links, autolinks, bold, italic and strikethrough.
+ * Raw HTML is removed and all other text is escaped.
+ *
+ * @param {string} text - Inline markdown.
+ * @returns {string} - HTML string.
+ */
+const renderInline = (text) => {
+  const stash = [];
+  const keep = (html) => `\u0001${stash.push(html) - 1}\u0001`;
+  const link = (url, label) => (isSafeUrl(url) ? keep(`<a href="${escapeHtml(url)}">${label}</a>`) : label);
+
+  const html = escapeHtml(
+    text
+      .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+      .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => link(url, escapeHtml(url)))
+      .replace(RAW_HTML, '')
+  );
+
+  return html
+    // Images are shown as their alt text
+    .replace(/(!?)\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)(?:\s+&quot;.*?&quot;)?\)/g, (match, image, label, url) => (
+      image ? label : link(unescapeHtml(url), label)
+    ))
+    .replace(/(^|[\s(])(https?:\/\/[^\s<)]+[^\s<).,;:!?])/g, (match, before, url) => before + link(unescapeHtml(url), url))
+    .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^\w*])\*(\S(?:.*?\S)?)\*(?![\w*])|(^|\W)_(\S(?:.*?\S)?)_(?!\w)/g, (match, a, b, c, d) => (
+      `${a ?? c}<em>${b ?? d}</em>`
+    ))
+    .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>')
+    .replace(/\u0001(\d+)\u0001/g, (match, index) => stash[index]);
+};
+
+/**
+ * Renders markdown, such as release notes, to sanitized HTML.
+ * Supports headings, paragraphs, ordered and unordered lists, block quotes, horizontal rules,
+ * fenced code blocks, code spans, links and emphasis. Raw HTML is removed.
+ *
+ * @param {string} markdown - Markdown source.
+ * @returns {string} - Sanitized HTML string.
+ */
+const renderMarkdown = (markdown) => {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let quote = [];
+
+  const flush = () => {
+    // Paragraphs that only held raw HTML are dropped
+    const text = paragraph.length ? renderInline(paragraph.join('\n')) : '';
+    if (text.trim()) {
+      html.push(`<p>${text}</p>`);
+    }
+    paragraph = [];
+    if (list) {
+      html.push(`<${list.type}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.type}>`);
+      list = null;
+    }
+    if (quote.length) {
+      html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+      quote = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)/);
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    const quoted = line.match(/^\s{0,3}>\s?(.*)$/);
+
+    if (fence) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+      }
+      const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+      html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+    } else if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      html.push('<hr>');
+    } else if (quoted && !list && !paragraph.length) {
+      quote.push(quoted[1]);
+    } else if (item) {
+      const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (paragraph.length || quote.length || (list && list.type !== type)) {
+        flush();
+      }
+      list = list || { type, items: [] };
+      list.items.push(item[2]);
+    } else if (list && /^\s/.test(line)) {
+      // Indented lines continue the previous list item
+      list.items[list.items.length - 1] += `\n${line.trim()}`;
+    } else {
+      if (list || quote.length) {
+        flush();
+      }
+      paragraph.push(line.trim());
+    }
+  }
+
+  flush();
+  return sanitizeHtml(html.join('\n'));
+};
+
+/**
+ * Converts markdown to plain text by removing its syntax and any raw HTML.
+ *
+ * @param {string} markdown - Markdown source.
+ * @returns {string} - Plain text.
+ */
+const markdownToText = (markdown) => String(markdown)
+  .replace(/\r\n?/g, '\n')
+  .replace(/^\s*(`{3,}|~{3,}).*$/gm, '')
+  .replace(RAW_HTML, '')
+  // Link targets may contain parentheses and a title, like in renderInline
+  .replace(/!?\[([^\]]*)\]\((?:[^()\s]|\([^()\s]*\))+(?:\s+".*?")?\)/g, '$1')
+  .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+  .replace(/^\s{0,3}>\s?/gm, '')
+  .replace(/(\*\*|__|~~|`)(\S(?:.*?\S)?)\1/g, '$2')
+  .replace(/(^|\W)[*_](\S(?:.*?\S)?)[*_](?!\w)/g, '$1$2')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const PLACEHOLDER_NAME = /[a-z][a-z0-9]*(?:-[a-z0-9]+)*/iy;
+const PLACEHOLDER_MODIFIER = /:(raw|html|text)(?![a-z0-9-])/iy;
+const FILTER_CALL = /([a-z]+)(?:\(([^)]*)\))?/iy;
+
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+const RELATIVE_UNITS = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+/**
+ * Formats a date for display.
+ *
+ * Styles:
+ * - `numeric` (default): the locale's numeric date, e.g. "3/14/2025".
+ * - `short`, `medium`, `long`, `full`: Intl date styles, e.g. "March 14, 2025" for `long`.
+ * - `relative`: the distance from now, e.g. "3 days ago".
+ * - Anything else is a pattern of YYYY, YY, MM, M, DD and D tokens, e.g. "YYYY-MM-DD".
+ *
+ * @param {*} value - Date string, timestamp or Date.
+ * @param {string} [style='numeric'] - Date style or pattern.
+ * @param {Object} [options] - Formatting options.
+ * @param {string} [options.locale] - BCP 47 locale, the browser locale by default.
+ * @param {string} [options.timeZone] - IANA time zone, the browser time zone by default.
+ * @returns {string} - The formatted date, or the value unchanged if it is not a date.
+ */
+const formatDate = (value, style = 'numeric', { locale, timeZone } = {}) => {
+  const date = toDate(value);
+  if (!date) {
+    return String(value);
+  }
+
+  if (style === 'relative') {
+    const seconds = (date.getTime() - Date.now()) / 1000;
+    const [unit, size] = RELATIVE_UNITS.find(([, length]) => Math.abs(seconds) >= length) || RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+    return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+  }
+  if (DATE_STYLES.includes(style)) {
+    return new Intl.DateTimeFormat(locale, { dateStyle: style, timeZone }).format(date);
+  }
+  if (style === 'numeric') {
+    return new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'numeric', day: 'numeric', timeZone }).format(date);
+  }
+
+  // Read the calendar date in the requested time zone rather than the browser's
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { year: 'numeric', month: 'numeric', day: 'numeric', timeZone })
+    .formatToParts(date)
+    .forEach(({ type, value: part }) => {
+      parts[type] = part;
+    });
+  const tokens = {
+    YYYY: parts.year,
+    YY: parts.year.slice(-2),
+    MM: parts.month.padStart(2, '0'),
+    M: parts.month,
+    DD: parts.day.padStart(2, '0'),
+    D: parts.day
+  };
+  return style.replace(/YYYY|YY|MM|M|DD|D/g, token => tokens[token]);
+};
+
+/**
+ * Formats a number for display.
+ *
+ * Styles: `standard` (default) groups digits, e.g. "12,345"; `compact` abbreviates, e.g. "1.2K";
+ * `raw` leaves the number as is.
+ *
+ * @param {*} value - Number or numeric string.
+ * @param {string} [style='standard'] - Number style.
+ * @param {Object} [options] - Formatting options.
+ * @param {string} [options.locale] - BCP 47 locale, the browser locale by default.
+ * @returns {string} - The formatted number, or the value unchanged if it is not a number.
+ */
+const formatNumber = (value, style = 'standard', { locale } = {}) => {
+  const number = Number(value);
+  if (value === '' || Number.isNaN(number) || style === 'raw') {
+    return String(value);
+  }
+  const options = style === 'compact' ? { notation: 'compact', maximumFractionDigits: 1 } : {};
+  return new Intl.NumberFormat(locale, options).format(number);
+};
+
+/**
+ * Formats a size in bytes with the largest fitting unit, e.g. "1.2 MB".
+ *
+ * @param {*} value - Number of bytes.
+ * @param {Object} [options] - Formatting options.
+ * @param {string} [options.locale] - BCP 47 locale, the browser locale by default.
+ * @returns {string} - The formatted size, or the value unchanged if it is not a number.
+ */
+const formatBytes = (value, { locale } = {}) => {
+  let number = Number(value);
+  if (value === '' || Number.isNaN(number)) {
+    return String(value);
+  }
+  const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+  let unit = 0;
+  while (Math.abs(number) >= 1000 && unit < units.length - 1) {
+    number /= 1000;
+    unit++;
+  }
+  return new Intl.NumberFormat(locale, { style: 'unit', unit: units[unit], unitDisplay: 'short', maximumFractionDigits: 1 }).format(number);
+};
+
+/**
+ * Template filters, applied with `|name` or `|name(arg, ...)` after a placeholder.
+ * Each is called with the value, the argument list and the locale options.
+ * Filters are skipped for empty values.
+ */
+const FILTERS = {
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  capitalize: (value) => String(value).charAt(0).toUpperCase() + String(value).slice(1),
+  trim: (value) => String(value).trim(),
+  truncate: (value, [length = '80', ellipsis = '…']) => {
+    const text = String(value);
+    const max = parseInt(length, 10);
+    return text.length > max ? `${text.slice(0, max).trimEnd()}${ellipsis}` : text;
+  },
+  date: (value, [style = 'YYYY-MM-DD'], options) => formatDate(value, style, options),
+  number: (value, [style], options) => formatNumber(value, style, options),
+  bytes: (value, args, options) => formatBytes(value, options)
+};
+
+/**
+ * Parses a format string into a tree of text, expression and section nodes.
+ *
+ * - `%name` inserts a value. Names match exactly and case-insensitively, so "%names" stays text
+ *   unless a "names" placeholder exists; an unknown name is shortened at hyphens, so
+ *   "%name-%version" reads as "%name", "-" and "%version".
+ * - `%name:raw` skips HTML escaping, `%release-notes:html` renders markdown to sanitized HTML and
+ *   `%release-notes:text` strips markdown syntax.
+ * - `%homepage|%repository|'n/a'` falls back to the next placeholder or quoted text when a value is empty.
+ * - `%description|truncate(80)|upper` applies filters, see FILTERS.
+ * - `%?license[ (%license)]` renders its body only when the value is present, `%!license[...]` only when it is empty.
+ * - `%*assets[...]` renders its body once per item of a list, with the item's values replacing placeholders of the
+ *   same name. Outside such a section, a list renders as the comma-separated names of its items.
+ * - `%%`, `%[` and `%]` are a literal percent sign and brackets.
+ *
+ * @param {string} format - The format string.
+ * @param {Function} isKnown - `(name) => boolean` telling whether a placeholder exists.
+ * @returns {Array<Object>} - Nodes: `{ type: 'text', value }`, `{ type: 'expression', items }` or `{ type: 'section', name, negate, repeat, children }`.
+ */
+const parseTemplate = (format, isKnown) => {
+  let index = 0;
+
+  // Reads a placeholder name (and modifier) starting at `start`, which follows the "%"
+  const readPlaceholder = (start) => {
+    PLACEHOLDER_NAME.lastIndex = start;
+    let name = PLACEHOLDER_NAME.exec(format)?.[0].toLowerCase() || '';
+    while (name && !isKnown(name)) {
+      name = name.includes('-') ? name.slice(0, name.lastIndexOf('-')) : '';
+    }
+    if (!name) {
+      return null;
+    }
+
+    PLACEHOLDER_MODIFIER.lastIndex = start + name.length;
+    const modifier = PLACEHOLDER_MODIFIER.exec(format);
+    index = start + name.length + (modifier ? modifier[0].length : 0);
+    return { type: 'placeholder', name, modifier: modifier ? modifier[1].toLowerCase() : null };
+  };
+
+  // Reads the item after a "|": a fallback placeholder, quoted text or a known filter
+  const readPipeItem = (start) => {
+    const char = format[start];
+    if (char === '%') {
+      return readPlaceholder(start + 1);
+    }
+    if (char === '"' || char === "'") {
+      const end = format.indexOf(char, start + 1);
+      if (end === -1) {
+        return null;
+      }
+      index = end + 1;
+      return { type: 'literal', value: format.slice(start + 1, end) };
+    }
+
+    FILTER_CALL.lastIndex = start;
+    const call = FILTER_CALL.exec(format);
+    const name = call?.[1].toLowerCase();
+    if (!call || !FILTERS[name]) {
+      return null;
+    }
+    index = start + call[0].length;
+    const args = call[2] === undefined ? [] : call[2].split(',').map(arg => arg.trim());
+    return { type: 'filter', name, args };
+  };
+
+  const readNodes = (inSection) => {
+    const nodes = [];
+    let text = '';
+    const flush = () => {
+      if (text) {
+        nodes.push({ type: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (index < format.length) {
+      const char = format[index];
+      const next = format[index + 1];
+
+      if (inSection && char === ']') {
+        index++;
+        break;
+      }
+      if (char !== '%') {
+        text += char;
+        index++;
+        continue;
+      }
+      if (next === '%' || next === '[' || next === ']') {
+        text += next;
+        index += 2;
+        continue;
+      }
+
+      if (next === '?' || next === '!' || next === '*') {
+        PLACEHOLDER_NAME.lastIndex = index + 2;
+        const name = PLACEHOLDER_NAME.exec(format)?.[0].toLowerCase();
+        if (name && isKnown(name) && format[index + 2 + name.length] === '[') {
+          flush();
+          index += name.length + 3;
+          nodes.push({ type: 'section', name, negate: next === '!', repeat: next === '*', children: readNodes(true) });
+          continue;
+        }
+      }
+
+      const placeholder = readPlaceholder(index + 1);
+      if (!placeholder) {
+        text += char;
+        index++;
+        continue;
+      }
+
+      const items = [placeholder];
+      while (format[index] === '|') {
+        const pipeStart = index;
+        const item = readPipeItem(index + 1);
+        if (!item) {
+          index = pipeStart;
+          break;
+        }
+        items.push(item);
+      }
+
+      flush();
+      nodes.push({ type: 'expression', items });
+    }
+
+    flush();
+    return nodes;
+  };
+
+  return readNodes(false);
+};
+
+/**
+ * Checks whether a value counts as present for fallbacks and sections.
+ *
+ * @param {*} value - Placeholder value.
+ * @returns {boolean} - False for undefined, null and empty strings.
+ */
+const isPresent = (value) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && !value.length);
+
+/**
+ * Renders parsed template nodes.
+ *
+ * @param {Array<Object>} nodes - Nodes returned by parseTemplate.
+ * @param {Object<string, *>} values - Placeholder values keyed by lowercase name without `%`.
+ * @param {Object} env - Render settings: `protect`, an `(html) => string` function wrapping rendered markdown and
+ *   multi-line values so the legacy clean-up keeps their line breaks, `escape: false` to insert values as plain text, and the locale
+ *   options of formatDate and formatNumber.
+ * @returns {string} - The rendered HTML string.
+ */
+const renderNodes = (nodes, values, env) => nodes.map((node) => {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  if (node.type === 'section' && node.repeat) {
+    const list = values[node.name];
+    return Array.isArray(list) ? list.map(item => renderNodes(node.children, { ...values, ...item }, env)).join('') : '';
+  }
+  if (node.type === 'section') {
+    return isPresent(values[node.name]) !== node.negate ? renderNodes(node.children, values, env) : '';
+  }
+
+  let value = '';
+  let modifier = null;
+  let filtered = false;
+  for (const item of node.items) {
+    if (item.type === 'filter') {
+      filtered = filtered || isPresent(value);
+      value = isPresent(value) ? FILTERS[item.name](value, item.args, env) : value;
+    } else if (!isPresent(value)) {
+      // Quoted fallback text is part of the format, so it is trusted like the rest of it
+      value = item.type === 'literal' ? item.value : values[item.name];
+      if (Array.isArray(value)) {
+        value = value.map(entry => (entry && typeof entry === 'object' ? entry.name : entry)).filter(isPresent).join(', ');
+      }
+      modifier = item.type === 'literal' ? 'raw' : item.modifier;
+      // Plain text is converted first, so filters such as truncate() see the text
+      if (modifier === 'text' && isPresent(value)) {
+        value = markdownToText(value);
+      }
+    }
+  }
+
+  if (!isPresent(value)) {
+    return '';
+  }
+  // Dates and counts without a date() or number() filter use the configured styles
+  if (!filtered && value instanceof Date) {
+    value = formatDate(value, env.dateStyle, env);
+  } else if (!filtered && typeof value === 'number') {
+    value = formatNumber(value, env.numberStyle, env);
+  }
+  if (modifier === 'html') {
+    return env.protect(renderMarkdown(value));
+  }
+  const output = modifier === 'raw' || env.escape === false ? String(value) : escapeHtml(value);
+  return output.includes('\n') ? env.protect(output) : output;
+}).join('');
+
+/**
+ * Cleans up separators left by empty values in formats that use only plain placeholders.
+ * Formats with fallbacks, filters or sections handle empty values explicitly and are left as rendered.
+ *
+ * @param {string} result - The rendered string.
+ * @returns {string} - The cleaned string.
+ */
+const cleanupLegacy = (result) => result
+  // Remove empty parentheses first, so the spaces around them are merged below
+  .replace(/\(\s*\)/g, '')
+  // Replace multiple spaces with one
+  .replace(/\s+/g, ' ')
+  // Remove spaces before commas
+  .replace(/\s+,/g, ',')
+  // Remove repeating commas
+  .replace(/,+/g, ',')
+  // Remove commas at the beginning and end, and the spaces they leave
+  .trim()
+  .replace(/^,+|,+$/g, '')
+  .trim();
+
+/**
+ * Collects the placeholder names of template values, including those of list items, which repeated
+ * sections such as `%*assets[...]` make available.
+ *
+ * @param {Object<string, *>} values - Placeholder values.
+ * @param {Set<string>} [names] - Set to add the names to.
+ * @returns {Set<string>} - The names.
+ */
+const collectNames = (values, names = new Set()) => {
+  Object.entries(values).forEach(([name, value]) => {
+    names.add(name);
+    if (Array.isArray(value)) {
+      value.filter(item => item && typeof item === 'object').forEach(item => collectNames(item, names));
+    }
+  });
+  return names;
+};
+
+/**
+ * Renders a format string with placeholder values, see parseTemplate for the syntax.
+ * Values are HTML-escaped unless the placeholder has the `:raw` or `:html` modifier. The format text
+ * itself is trusted and inserted as-is.
+ *
+ * @param {string} format - The format string.
+ * @param {Object<string, *>} values - Placeholder values keyed by lowercase name without `%`. Dates and numbers
+ *   are formatted with the locale options unless a filter formats them.
+ * @param {Object} [options] - Locale options: `locale`, `timeZone`, `dateStyle` and `numberStyle`, and
+ *   `escape: false` to render plain text instead of HTML.
+ * @returns {string} - The rendered HTML string.
+ */
+const renderTemplate = (format, values, options = {}) => {
+  const names = collectNames(values);
+  const nodes = parseTemplate(format, name => names.has(name));
+  const blocks = [];
+  const result = renderNodes(nodes, values, {
+    ...options,
+    protect: html => `\u0000${blocks.push(html) - 1}\u0000`
+  });
+  const isLegacy = nodes.every(node => node.type === 'text' || (node.type === 'expression' && node.items.length === 1));
+
+  return (isLegacy ? cleanupLegacy(result) : result.trim())
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => blocks[index]);
+};
+
+/**
+ * Generates a report based on the provided data and format.
+ *
+ * @param {Object} data - The data object containing package information.
+ * @param {string} format - The format string that may include variables to be replaced.
+ * @param {string} [source] - The source the data was fetched from, used to resolve its custom placeholders.
+ * @param {Object} [options] - Locale options overriding the global configuration: `locale`, `timeZone`, `dateStyle` and `numberStyle`.
+ *   With `escape: false`, values are not HTML-escaped, for plain text output. `values` adds placeholders, such as the
+ *   `%package` and `%range` of a collection row.
+ * @returns {string} - The formatted report string.
+ */
+function getReport(data, format, source, options = {}) {
+  const escape = options.escape !== false;
+  if (!format) {
+    return escape ? escapeHtml(data.version || '') : data.version || '';
+  }
+
+  const values = {
+    year: String(new Date().getFullYear()),
+    copy: '©',
+    name: data.name || '',
+    version: data.version || '',
+    description: data.description || '',
+    homepage: data.homepage || '',
+    author: data.author || '',
+    license: data.license || '',
+    'last-update': toDate(data.lastUpdate),
+    stars: data.stars || '',
+    forks: data.forks || '',
+    language: data.language || '',
+    repository: data.repository || '',
+    maintainers: data.maintainers || '',
+    downloads: data.downloads?.lastMonth || data.downloads?.total || '',
+    'release-date': toDate(data.releaseDate),
+    'release-notes': data.releaseNotes || '',
+    owner: data.owner || '',
+    requires: data.requiresPython || ''
+  };
+
+  const placeholders = (source && sources.get(source.toLowerCase())?.placeholders) || {};
+  for (const [key, resolve] of Object.entries(placeholders)) {
+    // A resolver that fails on incomplete data, such as a failed collection entry, only empties its own value
+    try {
+      values[key] = resolve(data) ?? '';
+    } catch (error) {
+      values[key] = '';
+    }
+  }
+  Object.assign(values, options.values);
+
+  const formatting = { escape };
+  for (const key of FORMAT_OPTIONS) {
+    formatting[key] = options[key] || config[key];
+  }
+
+  return renderTemplate(format, values, formatting);
+}
+
+/**
+ * Badge colours by name, as on shields.io. Other colours are given as hex codes or CSS colour names.
+ */
+const BADGE_COLORS = {
+  brightgreen: '#4c1',
+  green: '#97ca00',
+  yellowgreen: '#a4a61d',
+  yellow: '#dfb317',
+  orange: '#fe7d37',
+  red: '#e05d44',
+  blue: '#007ec6',
+  grey: '#555',
+  gray: '#555',
+  lightgrey: '#9f9f9f',
+  lightgray: '#9f9f9f'
+};
+
+/**
+ * Badge shapes: the height, corner radius and the gradient stops laid over the colours.
+ */
+const BADGE_STYLES = {
+  flat: { height: 20, radius: 3, stops: [[0, '#bbb', 0.1], [1, '#000', 0.1]] },
+  'flat-square': { height: 20, radius: 0, stops: [] },
+  plastic: { height: 18, radius: 4, stops: [[0, '#fff', 0.7], [0.1, '#aaa', 0.1], [0.9, '#000', 0.3], [1, '#000', 0.5]] }
+};
+
+/**
+ * Widths of the printable ASCII characters (space to "~") in 11px Verdana, the badge font.
+ * Other characters count as wide as an "m" minus a little, which overestimates rather than clips.
+ */
+const CHAR_WIDTHS = [
+  3.9, 4.3, 5.0, 9.0, 7.0, 11.8, 8.0, 2.9, 4.9, 4.9, 7.0, 9.0, 4.0, 4.9, 4.0, 4.9,
+  7.0, 7.0, 7.0, 7.0, 7.0, 7.0, 7.0, 7.0, 7.0, 7.0, 4.9, 4.9, 9.0, 9.0, 9.0, 6.0,
+  11.0, 7.5, 7.5, 7.7, 8.5, 7.0, 6.3, 8.5, 8.3, 4.6, 5.0, 7.6, 6.1, 9.3, 8.2, 8.7,
+  6.6, 8.7, 7.7, 7.5, 6.8, 8.0, 7.5, 10.9, 7.5, 6.8, 7.5, 4.9, 4.9, 4.9, 9.0, 7.0,
+  7.0, 6.6, 6.9, 5.7, 6.9, 6.6, 3.9, 6.9, 7.0, 3.0, 3.8, 6.5, 3.0, 10.7, 7.0, 6.7,
+  6.9, 6.9, 4.7, 5.7, 4.3, 7.0, 6.5, 9.0, 6.5, 6.5, 5.8, 7.0, 4.9, 7.0, 9.0
+];
+
+/**
+ * Estimates the width of badge text in pixels, without a DOM to measure it.
+ *
+ * @param {string} text - The text.
+ * @returns {number} - The width, rounded up to one decimal.
+ */
+const measureText = (text) => {
+  const width = Array.from(text).reduce((sum, char) => sum + (CHAR_WIDTHS[char.charCodeAt(0) - 32] || 9.5), 0);
+  return Math.ceil(width * 10) / 10;
+};
+
+/**
+ * Hashes a string with 32-bit FNV-1a, for ids that stay the same for the same content.
+ *
+ * @param {string} text - Text to hash.
+ * @returns {string} - The hash in base 36.
+ */
+const hashText = text => Array.from(text)
+  .reduce((hash, char) => Math.imul(hash ^ char.codePointAt(0), 16777619) >>> 0, 2166136261)
+  .toString(36);
+
+/**
+ * Builds the SVG markup of a badge.
+ *
+ * @param {Object} badge - Badge content.
+ * @param {string} badge.label - Text on the left.
+ * @param {string} badge.value - Text on the right.
+ * @param {string} badge.color - Colour name or CSS colour of the right side.
+ * @param {string} [badge.labelColor='grey'] - Colour name or CSS colour of the left side.
+ * @param {string} [badge.style='flat'] - 'flat', 'flat-square' or 'plastic'.
+ * @returns {string} - An SVG element with `role="img"` and the label and value as its accessible name.
+ */
+const createBadge = ({ label, value, color, labelColor = 'grey', style = 'flat' }) => {
+  const { height, radius, stops } = BADGE_STYLES[style] || BADGE_STYLES.flat;
+  // Ids of the gradient and clip path depend on the content only, so pre-rendered pages are the same on every
+  // build. Badges that share an id draw the same, so a duplicate does no harm.
+  const id = `get-details-badge-${hashText(JSON.stringify([label, value, color, labelColor, style]))}`;
+  const fill = name => escapeHtml(BADGE_COLORS[name] || name);
+
+  const labelTextWidth = measureText(label);
+  const valueTextWidth = measureText(value);
+  const labelWidth = label ? Math.round(labelTextWidth + 10) : 0;
+  const valueWidth = Math.round(valueTextWidth + 10);
+  const width = labelWidth + valueWidth;
+  const title = escapeHtml(label ? `${label}: ${value}` : value);
+
+  // A shadow one pixel lower under each text, then the text itself
+  const baseline = Math.round(height * 0.75);
+  const text = (content, center, textWidth) => [baseline, baseline - 1].map((y, index) => `<text x="${center}" y="${y}"${index ? '' : ' fill="#010101" fill-opacity=".3"'} textLength="${textWidth}">${escapeHtml(content)}</text>`).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${title}">`
+    + `<title>${title}</title>`
+    + (stops.length
+      ? `<linearGradient id="${id}-s" x2="0" y2="100%">${stops.map(([offset, stopColor, opacity]) => `<stop offset="${offset}" stop-color="${stopColor}" stop-opacity="${opacity}"/>`).join('')}</linearGradient>`
+      : '')
+    + `<clipPath id="${id}-r"><rect width="${width}" height="${height}" rx="${radius}" fill="#fff"/></clipPath>`
+    + `<g clip-path="url(#${id}-r)">`
+    + (label ? `<rect width="${labelWidth}" height="${height}" fill="${fill(labelColor)}"/>` : '')
+    + `<rect x="${labelWidth}" width="${valueWidth}" height="${height}" fill="${fill(color)}"/>`
+    + (stops.length ? `<rect width="${width}" height="${height}" fill="url(#${id}-s)"/>` : '')
+    + '</g>'
+    + '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" text-rendering="geometricPrecision" font-size="11">'
+    + (label ? text(label, labelWidth / 2, labelTextWidth) : '')
+    + text(value, labelWidth + valueWidth / 2, valueTextWidth)
+    + '</g></svg>';
+};
+
+/**
+ * Picks the colour of a loaded badge. Given the version in use (`current`), the badge shows how far it is
+ * behind the loaded version: green when up to date, yellow for a minor or patch update and red for a major one.
+ * Otherwise deprecated and yanked versions are red and everything else blue.
+ *
+ * @param {Object} data - Normalized package data.
+ * @param {string} [current] - Version in use, e.g. '4.6.2'; a leading "^", "~" or "=" is ignored.
+ * @returns {string} - A colour name.
+ */
+const getBadgeColor = (data, current) => {
+  const latest = data.version && parseVersion(data.version);
+  const used = current && parseVersion(String(current).replace(/^[\^~=\s]+/, ''));
+  if (latest && used) {
+    if (compareVersions(used, latest) >= 0) {
+      return 'brightgreen';
+    }
+    return (used.release[0] || 0) < (latest.release[0] || 0) ? 'red' : 'yellow';
+  }
+  return data.deprecated || data.yanked ? 'red' : 'blue';
+};
+
+/**
+ * Derives a badge label from the first placeholder of a format, e.g. "weekly downloads" for
+ * "%weekly-downloads|number(compact)".
+ *
+ * @param {string} [format] - Format string without braces.
+ * @returns {string} - The label, "version" without a placeholder.
+ */
+const getBadgeLabel = format => (/%[?!]?([a-z][a-z0-9-]*)/i.exec(format || '')?.[1] || 'version').toLowerCase().replace(/-/g, ' ');
+
+/**
+ * Words shown on error badges by error type.
+ */
+const BADGE_ERRORS = { 'not-found': 'not found', 'rate-limited': 'rate limited' };
+
+/**
+ * Renders the badge of an element that is loading or failed: grey while loading, red on errors.
+ *
+ * @param {string} state - 'loading' or 'error'.
+ * @param {Object} options - Badge options, see renderBadge.
+ * @param {Error} [error] - The failure, for the error state.
+ * @returns {string} - The SVG markup.
+ */
+const renderStateBadge = (state, { label, format, style, labelColor, fallback }, error) => createBadge({
+  label: label || getBadgeLabel(format),
+  value: state === 'loading' ? 'loading' : fallback || BADGE_ERRORS[error?.type] || 'error',
+  color: state === 'loading' ? 'lightgrey' : 'red',
+  labelColor,
+  style
+});
+
+/**
+ * Renders package data as an inline SVG badge like those of shields.io: a grey label and a coloured value.
+ *
+ * @param {Object} data - Normalized package data, e.g. from fetchDetails().
+ * @param {string} [format] - Format string for the value, without braces; the version by default.
+ * @param {Object} [options] - Badge and render options.
+ * @param {string} [options.label] - Text on the left, derived from the first placeholder by default, e.g. "stars" for "%stars".
+ * @param {string} [options.color] - Colour name (brightgreen, green, yellowgreen, yellow, orange, red, blue, grey, lightgrey)
+ *   or CSS colour of the value; by default it depends on `current`, see getBadgeColor.
+ * @param {string} [options.labelColor='grey'] - Colour of the label.
+ * @param {string} [options.style='flat'] - 'flat', 'flat-square' or 'plastic'.
+ * @param {string} [options.current] - Version in use, colouring the badge by how far it is behind the loaded version.
+ * @param {string} [options.source] - Source the data came from, for its custom placeholders.
+ * @returns {string} - The SVG markup. Other options (`locale`, `timeZone`, `dateStyle`, `numberStyle`) format the value.
+ */
+const renderBadge = (data, format, { label, color, labelColor, style, current, source, ...options } = {}) => {
+  const value = getReport(data, format, source, { ...options, escape: false }).replace(/\s+/g, ' ').trim();
+  return createBadge({
+    label: label || getBadgeLabel(format),
+    value: value || 'unknown',
+    color: color || getBadgeColor(data, current),
+    labelColor,
+    style
+  });
+};
+
+/**
+ * Attributes that make the observer process an element again when they change.
+ */
+const OBSERVED_ATTRIBUTES = [
+  'data-get-details',
+  'data-get-details-config',
+  'data-get-details-list',
+  'data-get-details-manifest',
+  'data-get-details-sort',
+  'data-get-details-cache',
+  'data-get-details-prerelease',
+  'data-get-details-releases',
+  'data-get-details-locale',
+  'data-get-details-timezone',
+  'data-get-details-date-style',
+  'data-get-details-number-style',
+  'data-get-details-fallback',
+  'data-get-details-badge',
+  'data-get-details-badge-style',
+  'data-get-details-badge-color',
+  'data-get-details-badge-current'
+];
+
+/**
+ * Elements processed by refresh() and the observer: single packages and collections.
+ */
+const HOST_SELECTOR = '[data-get-details], [data-get-details-config], [data-get-details-list], [data-get-details-manifest]';
+
+/**
+ * Elements with the data-get-details attribute that have been processed, so the observer skips them when they are moved.
+ */
+const processedHosts = new WeakSet();
+
+/**
+ * The latest run of action() per element. Results of earlier runs are dropped, so a slow response for an
+ * old attribute value cannot overwrite a newer one.
+ */
+const currentRuns = new WeakMap();
+
+/**
+ * Reads the request and formatting settings of an element from its attributes.
+ *
+ * @param {HTMLElement} el - Element with the data-get-details attributes.
+ * @param {Object} [params] - Direct parameters overriding the attributes.
+ * @returns {Object} - `prerelease`, `releases`, `cache`, the `formatting` options of getReport and the `badge` options of
+ *   renderBadge, which are null unless the element renders a badge.
+ */
+const readElementOptions = (el, params = {}) => ({
+  prerelease: params.prerelease !== undefined
+    ? params.prerelease
+    : el.hasAttribute('data-get-details-prerelease') && el.getAttribute('data-get-details-prerelease') !== 'false',
+  releases: params.releases !== undefined ? params.releases : el.getAttribute('data-get-details-releases'),
+  cache: params.cache !== undefined ? params.cache : el.getAttribute('data-get-details-cache'),
+  formatting: {
+    locale: params.locale || el.getAttribute('data-get-details-locale'),
+    timeZone: params.timeZone || el.getAttribute('data-get-details-timezone'),
+    dateStyle: params.dateStyle || el.getAttribute('data-get-details-date-style'),
+    numberStyle: params.numberStyle || el.getAttribute('data-get-details-number-style')
+  },
+  badge: readBadgeOptions(el, params.badge)
+});
+
+/**
+ * Reads the badge options of an element. The data-get-details-badge attribute switches an element to
+ * badge mode; its value is the label, which is derived from the format when empty.
+ *
+ * @param {HTMLElement} el - Element with the data-get-details attributes.
+ * @param {boolean|Object} [badge] - Direct badge options, or true for the defaults, overriding the attributes.
+ * @returns {Object|null} - Options of renderBadge, or null if the element renders no badge.
+ */
+const readBadgeOptions = (el, badge) => {
+  if (badge) {
+    return badge === true ? {} : badge;
+  }
+  if (badge === false || !el.hasAttribute('data-get-details-badge')) {
+    return null;
+  }
+  return {
+    label: el.getAttribute('data-get-details-badge'),
+    style: el.getAttribute('data-get-details-badge-style'),
+    color: el.getAttribute('data-get-details-badge-color'),
+    current: el.getAttribute('data-get-details-badge-current')
+  };
+};
+
+/**
+ * Reads the package settings of an element from its data-get-details-config attribute, or else its
+ * data-get-details attribute.
+ *
+ * @param {HTMLElement} el - Element with the attributes.
+ * @returns {Object} - The configuration, see parse and parseConfig.
+ * @throws {GetDetailsError} - A `config` error if the attribute is invalid.
+ */
+const readElementConfig = el => (el.hasAttribute('data-get-details-config')
+  ? parseConfig(el.getAttribute('data-get-details-config'))
+  : parse(el.getAttribute('data-get-details')));
+
+/**
+ * Process a single element with data-get-details attribute or direct parameters.
+ * Elements with a data-get-details-list or data-get-details-manifest attribute are collections, see renderCollection.
+ *
+ * @param {HTMLElement} el - Element to process
+ * @param {Object} params - Direct parameters to override element's data attributes
+ * @returns {Promise<void>}
+ */
+const action = async (el, params = {}) => {
+  if (!params.packageName && (el.hasAttribute('data-get-details-list') || el.hasAttribute('data-get-details-manifest'))) {
+    return renderCollection(el);
+  }
+
+  const run = {};
+  processedHosts.add(el);
+  currentRuns.set(el, run);
+  const isCurrent = () => currentRuns.get(el) === run;
+
+  let config;
+  try {
+    // If direct parameters are provided, use them instead of element attributes
+    config = params.packageName
+      ? normalizeConfig({ ...params, package: params.packageName, format: unwrapFormat(params.format) })
+      : readElementConfig(el);
+  } catch (error) {
+    // Reported on the element, so one invalid attribute doesn't go unnoticed or stop the others. Without a
+    // valid target, the fallback goes into the element itself
+    const fallback = params.fallback !== undefined ? params.fallback : el.getAttribute('data-get-details-fallback');
+    if (fallback !== null && el.tagName !== 'SCRIPT') {
+      el.textContent = fallback;
+    }
+    setState([el], 'error', error);
+    emit(el, 'error', { error });
+    console.error('Error processing element:', error, el);
+    return;
+  }
+
+  const { pkg: packageName, version, target, source, baseUrl, format } = config;
+  const options = { ...config.options, ...params };
+  const { prerelease, releases, cache, formatting, badge } = readElementOptions(el, options);
+  const render = data => (badge
+    ? renderBadge(data, format, { ...badge, source, ...formatting })
+    : getReport(data, format, source, formatting));
+
+  let elTargets = [];
+  if (!params.packageName && el.tagName !== 'SCRIPT' && !target) {
+    // Elements found in the document render into themselves
+    elTargets = [el];
+  } else {
+    elTargets = Array.from(target ? document.querySelectorAll(target) : document.querySelectorAll('#package_version, .current-version'));
+  }
+
+  if (!elTargets.length) {
+    return;
+  }
+
+  const marked = Array.from(new Set([el, ...elTargets]));
+  const detail = { source, pkg: packageName, version };
+  const fallback = options.fallback !== undefined ? options.fallback : el.getAttribute('data-get-details-fallback');
+  const processed = [];
+
+  const isOwnTarget = targetEl => !targetEl.dataSetDetails || targetEl.dataSetDetails === el;
+
+  if (badge) {
+    const loadingBadge = renderStateBadge('loading', { ...badge, format });
+    elTargets.filter(isOwnTarget).forEach((targetEl) => {
+      targetEl.innerHTML = loadingBadge;
+    });
+  }
+  setState(marked, 'loading');
+  emit(el, 'loading', detail);
+
+  try {
+    const data = await getData(source, packageName, {
+      baseUrl,
+      version,
+      prerelease,
+      releases,
+      cache,
+      // Re-render with fresh data when a stale cache entry was shown first
+      onUpdate: (freshData) => {
+        if (!isCurrent()) {
+          return;
+        }
+        const freshReport = render(freshData);
+        processed.forEach((targetEl) => {
+          targetEl.innerHTML = freshReport;
+        });
+        emit(el, 'loaded', { ...detail, data: freshData, updated: true });
+      }
+    });
+    if (!isCurrent()) {
+      return;
+    }
+    const report = render(data);
+
+    elTargets.forEach((targetEl) => {
+      // Skip if another element already rendered into it
+      if (isOwnTarget(targetEl)) {
+        targetEl.innerHTML = report;
+        // Mark element as processed
+        targetEl.dataSetDetails = el;
+        processed.push(targetEl);
+      }
+    });
+    setState(marked, 'loaded');
+    emit(el, 'loaded', { ...detail, data });
+  } catch (error) {
+    if (!isCurrent()) {
+      return;
+    }
+    if (badge) {
+      // Badges show the fallback, or what went wrong, as their value
+      const errorBadge = renderStateBadge('error', { ...badge, format, fallback }, error);
+      elTargets.filter(isOwnTarget).forEach((targetEl) => {
+        targetEl.innerHTML = errorBadge;
+      });
+    } else if (fallback !== null) {
+      elTargets.filter(isOwnTarget).forEach((targetEl) => {
+        targetEl.textContent = fallback;
+      });
+    }
+    setState(marked, 'error', error);
+    emit(el, 'error', { ...detail, error });
+    console.error('Error processing element:', error);
+  }
+};
+
+/**
+ * Row nodes rendered by each collection element, removed when it renders again.
+ */
+const collectionRows = new WeakMap();
+
+/**
+ * Row templates of collection elements without a <template>, keyed by tag name.
+ */
+const DEFAULT_ROWS = {
+  TABLE: '<tr><td>%name</td><td>%version</td></tr>',
+  TBODY: '<tr><td>%name</td><td>%version</td></tr>',
+  UL: '<li>%name %version</li>',
+  OL: '<li>%name %version</li>'
+};
+
+/**
+ * package.json sections listed when a manifest URL does not name any, e.g. "package.json#peerDependencies".
+ */
+const PACKAGE_JSON_SECTIONS = ['dependencies', 'devDependencies'];
+
+/**
+ * Values collection rows can be sorted by, keyed by the name used in data-get-details-sort.
+ */
+const SORT_KEYS = {
+  name: data => data.name?.toLowerCase(),
+  version: data => parseVersion(data.version || ''),
+  stars: data => data.stars,
+  forks: data => data.forks,
+  downloads: data => data.downloads?.lastMonth || data.downloads?.total,
+  'last-update': data => toDate(data.lastUpdate),
+  'release-date': data => toDate(data.releaseDate)
+};
+
+/**
+ * Parses a collection entry such as "react", "github:vuejs/core" or "pypi:django@^5".
+ * The part before the first ":" is only read as the source when a source has that name, so
+ * Maven coordinates need the prefix: "maven:com.google.guava:guava".
+ *
+ * @param {string} value - The entry.
+ * @returns {Object} - `{ source, pkg, version, range }`.
+ */
+const parseEntry = (value) => {
+  const separator = value.indexOf(':');
+  const prefix = separator > 0 ? value.slice(0, separator).toLowerCase() : '';
+  const [source, spec] = sources.has(prefix) ? [prefix, value.slice(separator + 1)] : ['npm', value];
+  const { pkg, version } = parsePackage(spec.trim());
+  return { source, pkg, version, range: version };
+};
+
+/**
+ * Reads the entries of a collection manifest: an array of entries, an object with a `packages` array, or a
+ * package.json, whose dependencies are listed as npm packages. Entries are strings parsed by parseEntry or
+ * objects with `source`, `package` and `version` keys. Dependency ranges are shown as `%range`; the rows show
+ * the latest versions.
+ *
+ * @param {*} manifest - The parsed manifest.
+ * @param {Array<string>} sections - package.json sections to list; dependencies and devDependencies when empty.
+ * @param {string} url - The manifest URL, for error messages.
+ * @returns {Array<Object>} - Entries: `{ source, pkg, version, range, baseUrl }`.
+ * @throws {GetDetailsError} - If the manifest lists no packages.
+ */
+const readManifest = (manifest, sections, url) => {
+  const list = Array.isArray(manifest) ? manifest : manifest?.packages;
+  if (Array.isArray(list)) {
+    return list
+      .map(item => (typeof item === 'string' ? parseEntry(item) : {
+        ...parseSource(item?.source),
+        pkg: item?.package || item?.name,
+        version: item?.version,
+        range: item?.version
+      }))
+      .filter(entry => entry.pkg);
+  }
+
+  const names = sections.length ? sections : PACKAGE_JSON_SECTIONS;
+  if (!names.some(section => manifest?.[section])) {
+    throw new GetDetailsError('parse', `Manifest ${url} lists no packages`);
+  }
+
+  const ranges = new Map();
+  names.forEach((section) => {
+    Object.entries(manifest[section] || {}).forEach(([name, range]) => ranges.has(name) || ranges.set(name, range));
+  });
+  return Array.from(ranges, ([pkg, range]) => ({ source: 'npm', pkg, version: undefined, range }));
+};
+
+/**
+ * Reads the entries of a collection element from its data-get-details-list attribute, a list separated by
+ * commas or whitespace, and the manifest its data-get-details-manifest attribute points to.
+ *
+ * @param {HTMLElement} el - Collection element.
+ * @returns {Promise<Array<Object>>} - Entries: `{ source, pkg, version, range, baseUrl }`.
+ * @throws {GetDetailsError} - If the manifest cannot be loaded or lists no packages.
+ */
+const getEntries = async (el) => {
+  const list = el.getAttribute('data-get-details-list') || '';
+  const entries = list.split(/[\s,]+/).filter(Boolean).map(parseEntry);
+
+  const manifest = el.getAttribute('data-get-details-manifest');
+  if (manifest) {
+    const [path, sections = ''] = manifest.split('#');
+    const url = new URL(path.trim(), document.baseURI).href;
+    const json = await fetchJson(url);
+    entries.push(...readManifest(json, sections.split(',').map(section => section.trim()).filter(Boolean), url));
+  }
+  return entries;
+};
+
+/**
+ * Sorts loaded collection entries. Entries without the value, such as failed ones, come last in both directions.
+ *
+ * @param {Array<Object>} entries - Entries with their `data`.
+ * @param {string} [sort] - Sort key from SORT_KEYS, descending with a "-" prefix or a " desc" suffix, e.g. "stars desc".
+ * @returns {Array<Object>} - Sorted copy of the entries; the declared order if the key is unknown.
+ */
+const sortEntries = (entries, sort) => {
+  const match = (sort || '').trim().toLowerCase().match(/^(-)?([a-z-]+)(?:\s+(asc|desc))?$/);
+  const read = match && SORT_KEYS[match[2]];
+  if (!read) {
+    return entries.slice();
+  }
+
+  const direction = match[1] || match[3] === 'desc' ? -1 : 1;
+  const keyed = entries.map(entry => ({ entry, value: entry.data ? read(entry.data) : undefined }));
+  const isMissing = value => value === undefined || value === null || value === '' || Number.isNaN(value);
+
+  return keyed.sort((a, b) => {
+    if (isMissing(a.value) || isMissing(b.value)) {
+      return isMissing(a.value) - isMissing(b.value);
+    }
+    if (match[2] === 'version') {
+      return direction * compareVersions(a.value, b.value);
+    }
+    if (typeof a.value === 'string') {
+      return direction * a.value.localeCompare(b.value);
+    }
+    return direction * (a.value - b.value);
+  }).map(({ entry }) => entry);
+};
+
+/**
+ * Renders a collection element: one row per entry of its data-get-details-list attribute and manifest.
+ * Rows use the element's <template> as their format, with the usual placeholders plus `%source`,
+ * `%package` and `%range`, and are inserted after it. Without a template, tables and lists get a
+ * default row. Failed entries render with their package name only and the error state.
+ *
+ * @param {HTMLElement} el - Collection element.
+ * @returns {Promise<void>}
+ */
+const renderCollection = async (el) => {
+  const run = {};
+  processedHosts.add(el);
+  currentRuns.set(el, run);
+  const isCurrent = () => currentRuns.get(el) === run;
+
+  const { prerelease, cache, formatting } = readElementOptions(el);
+  const template = el.querySelector('template');
+  const format = template ? template.innerHTML : DEFAULT_ROWS[el.tagName] || '<div>%name %version</div>';
+
+  let container = template ? template.parentNode : el;
+  if (!template && el.tagName === 'TABLE') {
+    container = el.tBodies[0] || el.appendChild(document.createElement('tbody'));
+  }
+
+  const renderRows = (entries) => {
+    (collectionRows.get(el) || []).forEach(node => node.remove());
+    const nodes = [];
+    const rows = document.createDocumentFragment();
+
+    sortEntries(entries, el.getAttribute('data-get-details-sort')).forEach((entry) => {
+      const row = document.createElement('template');
+      row.innerHTML = getReport(entry.data || { name: entry.pkg }, format, entry.source, {
+        ...formatting,
+        values: { source: entry.source, package: entry.pkg, range: entry.range || '' }
+      });
+      const rowNodes = Array.from(row.content.childNodes);
+      if (entry.error) {
+        setState(rowNodes.filter(node => node.nodeType === 1), 'error', entry.error);
+      }
+      nodes.push(...rowNodes);
+      rows.appendChild(row.content);
+    });
+
+    container.insertBefore(rows, template ? template.nextSibling : null);
+    collectionRows.set(el, nodes);
+  };
+
+  setState([el], 'loading');
+  emit(el, 'loading', {});
+
+  try {
+    const entries = await getEntries(el);
+
+    await Promise.all(entries.map(async (entry) => {
+      try {
+        entry.data = await getData(entry.source, entry.pkg, {
+          baseUrl: entry.baseUrl,
+          version: entry.version,
+          prerelease,
+          cache,
+          onUpdate: (freshData) => {
+            entry.data = freshData;
+            if (isCurrent()) {
+              renderRows(entries);
+              emit(el, 'loaded', { entries, updated: true });
+            }
+          }
+        });
+      } catch (error) {
+        entry.error = error;
+      }
+    }));
+    if (!isCurrent()) {
+      return;
+    }
+    // Logged once the run is known to be current, so a run replaced by a newer one logs nothing
+    entries.filter(entry => entry.error).forEach(entry => console.error('Error processing element:', entry.error));
+
+    renderRows(entries);
+    const failed = entries.filter(entry => entry.error);
+    if (entries.length && failed.length === entries.length) {
+      setState([el], 'error', failed[0].error);
+      emit(el, 'error', { entries, error: failed[0].error });
+      return;
+    }
+    setState([el], 'loaded');
+    emit(el, 'loaded', { entries });
+  } catch (error) {
+    if (!isCurrent()) {
+      return;
+    }
+    setState([el], 'error', error);
+    emit(el, 'error', { error });
+    console.error('Error processing element:', error);
+  }
+};
+
+/**
+ * Tag name of the custom element, see defineElement.
+ */
+const ELEMENT_NAME = 'get-details';
+
+/**
+ * Attributes of the custom element. Changing any of them loads and renders the element again.
+ */
+const ELEMENT_ATTRIBUTES = ['package', 'source', 'version', 'format', 'prerelease', 'releases', 'cache', 'locale', 'timezone', 'date-style', 'number-style', 'fallback'];
+
+/**
+ * Shadow DOM of the custom element: the rendered report and the loading and error slots, each in a styleable part.
+ */
+const ELEMENT_SHADOW = '<style>:host { display: inline; } [hidden] { display: none !important; }</style>'
+  + '<span part="content"></span>'
+  + '<span part="loading" hidden><slot name="loading"></slot></span>'
+  + '<span part="error" hidden><slot name="error"></slot></span>';
+
+/**
+ * Defines the `<get-details>` custom element, an alternative to the data-get-details attribute with one attribute
+ * per setting, so formats and sources may contain commas and braces:
+ *
+ *   <get-details package="owner/repo@^2" source="github" format="%name %version">
+ *     <span slot="loading">Loading…</span>
+ *     <span slot="error">Unavailable</span>
+ *   </get-details>
+ *
+ * Longer formats go into a `<template>` child instead of the format attribute. The report is rendered into the
+ * shadow DOM and can be styled with `::part(content)`, `::part(loading)` and `::part(error)`. The element gets the
+ * same state classes and events as elements with the data-get-details attribute, and loads again when its
+ * attributes change. Elements in the initial HTML load once the DOM is ready, after configure() and registerSource() calls.
+ *
+ * @returns {Function|null} - The element class, or null without custom element support, e.g. in Node.
+ */
+const defineElement = () => {
+  if (typeof customElements === 'undefined' || typeof HTMLElement === 'undefined') {
+    return null;
+  }
+  if (customElements.get(ELEMENT_NAME)) {
+    return customElements.get(ELEMENT_NAME);
+  }
+
+  class GetDetailsElement extends HTMLElement {
+    static get observedAttributes() {
+      return ELEMENT_ATTRIBUTES;
+    }
+
+    #scheduled = false;
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: 'open' }).innerHTML = ELEMENT_SHADOW;
+    }
+
+    connectedCallback() {
+      this.#schedule();
+    }
+
+    attributeChangedCallback() {
+      this.#schedule();
+    }
+
+    disconnectedCallback() {
+      // Drops the result of a running request
+      currentRuns.delete(this);
+    }
+
+    // Loads once per task, however many attributes change, and not before the DOM is ready
+    #schedule() {
+      if (this.#scheduled) {
+        return;
+      }
+      this.#scheduled = true;
+      const start = () => {
+        this.#scheduled = false;
+        if (this.isConnected) {
+          this.refresh();
+        }
+      };
+      if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start, { once: true });
+      } else {
+        queueMicrotask(start);
+      }
+    }
+
+    #show(state) {
+      ['content', 'loading', 'error'].forEach((part) => {
+        this.shadowRoot.querySelector(`[part="${part}"]`).hidden = part !== (state === 'loaded' ? 'content' : state);
+      });
+    }
+
+    /**
+     * Loads the package and renders it.
+     *
+     * @returns {Promise<void>} - Resolves when the element is rendered; errors are shown and reported as events.
+     */
+    async refresh() {
+      const packageAttr = this.getAttribute('package');
+      if (!packageAttr) {
+        return;
+      }
+
+      const { pkg, version: packageVersion } = parsePackage(packageAttr.trim());
+      const { source, baseUrl } = parseSource(this.getAttribute('source')?.trim());
+      const version = this.getAttribute('version') || packageVersion;
+      const prerelease = this.hasAttribute('prerelease') && this.getAttribute('prerelease') !== 'false';
+      const template = Array.from(this.children).find(child => child.localName === 'template');
+      // Braces are optional, so formats can be copied from data-get-details attributes
+      const format = this.hasAttribute('format')
+        ? unwrapFormat(this.getAttribute('format')) || ''
+        : template?.innerHTML.trim() || '';
+      const formatting = {
+        locale: this.getAttribute('locale'),
+        timeZone: this.getAttribute('timezone'),
+        dateStyle: this.getAttribute('date-style'),
+        numberStyle: this.getAttribute('number-style')
+      };
+
+      const run = {};
+      currentRuns.set(this, run);
+      const isCurrent = () => currentRuns.get(this) === run;
+      const content = this.shadowRoot.querySelector('[part="content"]');
+      const detail = { source, pkg, version };
+
+      // Slot content replaces the fallback text
+      this.shadowRoot.querySelector('slot[name="error"]').textContent = this.getAttribute('fallback') || '';
+      this.#show('loading');
+      setState([this], 'loading');
+      emit(this, 'loading', detail);
+
+      try {
+        const data = await getData(source, pkg, {
+          baseUrl,
+          version,
+          prerelease,
+          releases: this.getAttribute('releases'),
+          cache: this.getAttribute('cache'),
+          onUpdate: (freshData) => {
+            if (isCurrent()) {
+              content.innerHTML = getReport(freshData, format, source, formatting);
+              emit(this, 'loaded', { ...detail, data: freshData, updated: true });
+            }
+          }
+        });
+        if (!isCurrent()) {
+          return;
+        }
+        content.innerHTML = getReport(data, format, source, formatting);
+        this.#show('loaded');
+        setState([this], 'loaded');
+        emit(this, 'loaded', { ...detail, data });
+      } catch (error) {
+        if (!isCurrent()) {
+          return;
+        }
+        content.innerHTML = '';
+        this.#show('error');
+        setState([this], 'error', error);
+        emit(this, 'error', { ...detail, error });
+        console.error('Error processing element:', error);
+      }
+    }
+  }
+
+  customElements.define(ELEMENT_NAME, GetDetailsElement);
+  return GetDetailsElement;
+};
+
+let observer = null;
+let observeGeneration = 0;
+
+/**
+ * Processes elements with the data-get-details attribute and collections again, e.g. after their attributes changed.
+ * Targets rendered by an element are rendered again by it; targets of other elements are left alone.
+ * A `<get-details>` element passed as `el` loads again, see defineElement.
+ *
+ * @param {HTMLElement} [el] - Element to process; all elements with the attributes in the document by default.
+ * @returns {Promise<void>} - Resolves when the elements are rendered.
+ */
+const refresh = async (el) => {
+  const elements = el ? [el] : Array.from(document.querySelectorAll(HOST_SELECTOR));
+  await Promise.all(elements.map(async (element) => {
+    try {
+      await (GetDetailsElement && element instanceof GetDetailsElement ? element.refresh() : action(element));
+    } catch (error) {
+      // action() reports load and attribute errors itself; anything else is a bug worth seeing
+      console.error('Error processing element:', error, element);
+    }
+  }));
+};
+
+/**
+ * Processes elements added to the observed tree and elements whose attributes changed.
+ *
+ * @param {Array<MutationRecord>} mutations - Records passed by the MutationObserver.
+ */
+const handleMutations = (mutations) => {
+  const changed = new Set();
+
+  mutations.forEach((mutation) => {
+    if (mutation.type === 'attributes') {
+      changed.add(mutation.target);
+      return;
+    }
+    mutation.addedNodes.forEach((node) => {
+      if (node.nodeType !== 1) {
+        return;
+      }
+      const hosts = Array.from(node.querySelectorAll(HOST_SELECTOR));
+      if (node.matches(HOST_SELECTOR)) {
+        hosts.unshift(node);
+      }
+      hosts.filter(host => !processedHosts.has(host)).forEach(host => changed.add(host));
+    });
+  });
+
+  changed.forEach((host) => {
+    if (host.isConnected && host.matches(HOST_SELECTOR)) {
+      refresh(host);
+    }
+  });
+};
+
+/**
+ * Starts processing elements that are added under a root later, such as hydrated islands, and processing
+ * elements again when their data-get-details attributes change. Unprocessed elements already under the
+ * root are processed at once. Called before the document has loaded, it starts once the DOM is ready.
+ *
+ * @param {Node} [root=document.body] - Root of the observed tree.
+ */
+const observe = (root) => {
+  const generation = observeGeneration;
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      // Skip if disconnect() was called in the meantime
+      if (generation === observeGeneration) {
+        observe(root);
+      }
+    }, { once: true });
+    return;
+  }
+
+  const target = root || document.body;
+  observer = observer || new MutationObserver(handleMutations);
+  observer.observe(target, { childList: true, subtree: true, attributes: true, attributeFilter: OBSERVED_ATTRIBUTES });
+
+  const hosts = Array.from(target.querySelectorAll(HOST_SELECTOR));
+  if (target.nodeType === 1 && target.matches(HOST_SELECTOR)) {
+    hosts.unshift(target);
+  }
+  hosts.filter(host => !processedHosts.has(host)).forEach(host => refresh(host));
+};
+
+/**
+ * Stops observing all roots passed to observe().
+ */
+const disconnect = () => {
+  observeGeneration++;
+  if (observer) {
+    observer.disconnect();
+    observer = null;
+  }
+};
+
+/**
+ * Fetches normalized package data without touching the DOM, e.g. in Node 18+ or a static site build.
+ * Outside the browser there is no response cache, but concurrent requests for a package are still shared.
+ *
+ * @param {string} source - Source name, optionally with an API base URL, e.g. 'npm' or 'gitlab:https://git.example.com/api/v4'.
+ * @param {string} pkg - Package name or repository path, optionally with a version spec, e.g. 'bootstrap@^4'.
+ * @param {Object} [options] - Fetch options.
+ * @param {string} [options.version] - Version spec, overriding the one in the package name.
+ * @param {boolean} [options.prerelease=false] - If true, pre-release versions may be picked.
+ * @param {string} [options.baseUrl] - API base URL, overriding the one in the source.
+ * @param {string|number|boolean|Object} [options.cache] - Response cache setting in the browser, see parseCache.
+ * @param {string} [options.token] - API token for this request, overriding the one set through configure().
+ * @param {string|false} [options.proxy] - Proxy endpoint for this request, or false to call the API even if a proxy is configured.
+ * @param {number} [options.releases] - Number of past releases to include in `releases`, for GitHub and GitLab.
+ * @returns {Promise<Object>} - A Promise resolving to the normalized package data.
+ * @throws {GetDetailsError} - If the data cannot be loaded.
+ */
+const fetchDetails = (source, pkg, { version, prerelease = false, baseUrl, cache, token, proxy, releases } = {}) => {
+  const { pkg: name, version: packageVersion } = parsePackage(pkg);
+  const { source: sourceName, baseUrl: sourceBaseUrl } = parseSource(source);
+  return getData(sourceName, name, { cache, baseUrl: baseUrl || sourceBaseUrl, version: version || packageVersion, prerelease, releases, token, proxy });
+};
+
+/**
+ * Renders package data with a format string, see parseTemplate for the syntax.
+ *
+ * @param {Object} data - Normalized package data, e.g. from fetchDetails().
+ * @param {string} [format] - Format string without the surrounding braces; the version only by default.
+ * @param {Object} [options] - Render options.
+ * @param {string} [options.source] - Source the data came from, for its custom placeholders.
+ * @param {string} [options.locale] - Locale for dates and numbers.
+ * @param {string} [options.timeZone] - Time zone for dates.
+ * @param {string} [options.dateStyle] - Date style, see formatDate.
+ * @param {string} [options.numberStyle] - Number style, see formatNumber.
+ * @param {boolean} [options.escape=true] - If false, values are not HTML-escaped, for plain text output such as a terminal.
+ * @returns {string} - The rendered HTML string, or plain text with `escape: false`.
+ */
+const renderDetails = (data, format, { source, ...options } = {}) => getReport(data, format, source, options);
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+const HTML_TAG = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-z][a-z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/gi;
+const HTML_ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const DETAILS_ATTRIBUTE = /\s+data-get-details(?:-[a-z-]+)?(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?/gi;
+const SIMPLE_SELECTOR = /^([a-z][a-z0-9-]*)?(?:#([\w-]+))?((?:\.[\w-]+)*)$/i;
+
+/**
+ * Finds the elements in an HTML string without a DOM.
+ *
+ * @param {string} html - HTML document or fragment.
+ * @returns {Array<Object>} - Elements in document order as `{ tag, attrs, start, openEnd, closeStart }`, where
+ *   `openEnd` and `closeStart` delimit the content. `closeStart` is null for void and unclosed elements.
+ */
+const parseHtmlElements = (html) => {
+  const lowerHtml = html.toLowerCase();
+  const elements = [];
+  const open = [];
+  let match;
+
+  HTML_TAG.lastIndex = 0;
+  while ((match = HTML_TAG.exec(html))) {
+    const [tag, closing, tagName, rawAttrs] = match;
+    // Comments and doctypes
+    if (!tagName) {
+      continue;
+    }
+
+    const name = tagName.toLowerCase();
+    if (closing) {
+      const index = open.map(element => element.tag).lastIndexOf(name);
+      if (index !== -1) {
+        // Elements left open inside it, such as <p> or <li>, stay without a known end
+        open.splice(index)[0].closeStart = match.index;
+      }
+      continue;
+    }
+
+    const attrs = {};
+    for (const [, attr, doubleQuoted, singleQuoted, unquoted] of rawAttrs.matchAll(HTML_ATTRIBUTE)) {
+      attrs[attr.toLowerCase()] = unescapeHtml(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    }
+    const element = { tag: name, attrs, start: match.index, openEnd: match.index + tag.length, closeStart: null };
+    elements.push(element);
+
+    if (RAW_TEXT_ELEMENTS.includes(name)) {
+      // Skip the content of <script> and similar elements, which is not markup
+      const close = lowerHtml.indexOf(`</${name}`, element.openEnd);
+      element.closeStart = close === -1 ? null : close;
+      HTML_TAG.lastIndex = close === -1 ? html.length : close;
+    } else if (!VOID_ELEMENTS.includes(name) && !tag.endsWith('/>')) {
+      open.push(element);
+    }
+  }
+
+  return elements;
+};
+
+/**
+ * Finds the elements matching a selector list in the result of parseHtmlElements().
+ *
+ * @param {Array<Object>} elements - Parsed elements.
+ * @param {string} selectorList - Comma-separated selectors made of a tag name, an #id and .classes, e.g. "#version, p.copy".
+ * @returns {Array<Object>} - The matching elements in document order.
+ * @throws {Error} - If a selector uses other syntax, such as combinators or attributes.
+ */
+const selectHtmlElements = (elements, selectorList) => {
+  const selectors = selectorList.split(',').map((selector) => {
+    const match = selector.trim().match(SIMPLE_SELECTOR);
+    if (!match || !selector.trim()) {
+      throw new Error(`Unsupported selector for HTML rendering: "${selector.trim()}". Use tag names, #ids and .classes.`);
+    }
+    const [, tag, id, classes] = match;
+    return { tag: tag?.toLowerCase(), id, classes: classes.split('.').filter(Boolean) };
+  });
+
+  return elements.filter(({ tag, attrs }) => selectors.some(selector => (
+    (!selector.tag || selector.tag === tag)
+    && (!selector.id || selector.id === attrs.id)
+    && selector.classes.every(name => (attrs.class || '').split(/\s+/).includes(name))
+  )));
+};
+
+/**
+ * Renders the elements with a data-get-details attribute in an HTML string, e.g. in a static site generator,
+ * so pages ship with the values and make no requests in the browser. Elements are handled like in the
+ * browser, including targets, formats and the data-get-details-* options, with two limits: targets must
+ * be tag, #id and .class selectors, and elements need a closing tag to be rendered into.
+ *
+ * Collections (data-get-details-list and data-get-details-manifest) and <get-details> elements are not
+ * rendered: they are left unchanged for the browser script.
+ *
+ * Rendered elements lose their data-get-details attributes. Elements that fail keep them, so the browser
+ * script can try again, and show their data-get-details-fallback text if they have one.
+ *
+ * @param {string} html - HTML document or fragment.
+ * @param {Object} [options] - Render options.
+ * @param {string} [options.locale] - Default locale for dates and numbers.
+ * @param {string} [options.timeZone] - Default time zone for dates.
+ * @param {string} [options.dateStyle] - Default date style, see formatDate.
+ * @param {string} [options.numberStyle] - Default number style, see formatNumber.
+ * @param {Function} [options.onError] - `(error, attrValue) => void` called for each failed element; errors are logged by default.
+ * @returns {Promise<string>} - The HTML with rendered values.
+ */
+const renderHtml = async (html, { onError, ...options } = {}) => {
+  const elements = parseHtmlElements(html);
+  const hosts = elements.filter(element => element.attrs['data-get-details'] !== undefined || element.attrs['data-get-details-config'] !== undefined);
+
+  const results = await Promise.all(hosts.map(async (host) => {
+    const { attrs } = host;
+    // Until the attribute is parsed, the host is the target, e.g. for the fallback of an invalid attribute
+    const result = { host, targets: host.tag !== 'script' ? [host] : [], fallback: attrs['data-get-details-fallback'] };
+    const hasConfig = attrs['data-get-details-config'] !== undefined;
+    if (attrs['data-get-details-badge'] !== undefined) {
+      result.badge = {
+        label: attrs['data-get-details-badge'],
+        style: attrs['data-get-details-badge-style'],
+        color: attrs['data-get-details-badge-color'],
+        current: attrs['data-get-details-badge-current']
+      };
+    }
+    try {
+      const { pkg, version, target, source, baseUrl, format, options: configOptions = {} } = hasConfig
+        ? parseConfig(attrs['data-get-details-config'])
+        : parse(attrs['data-get-details']);
+      result.format = format;
+      if (configOptions.badge !== undefined) {
+        result.badge = configOptions.badge ? { ...configOptions.badge } : null;
+      }
+      result.fallback = configOptions.fallback ?? result.fallback;
+      result.targets = host.tag !== 'script' && !target
+        ? [host]
+        : selectHtmlElements(elements, target || '#package_version, .current-version');
+
+      const prerelease = configOptions.prerelease ?? (attrs['data-get-details-prerelease'] !== undefined && attrs['data-get-details-prerelease'] !== 'false');
+      const cache = configOptions.cache ?? attrs['data-get-details-cache'];
+      const releases = configOptions.releases ?? attrs['data-get-details-releases'];
+      const data = await getData(source, pkg, { baseUrl, version, prerelease, releases, cache });
+      const formatting = {
+        locale: configOptions.locale || attrs['data-get-details-locale'] || options.locale,
+        timeZone: configOptions.timeZone || attrs['data-get-details-timezone'] || options.timeZone,
+        dateStyle: configOptions.dateStyle || attrs['data-get-details-date-style'] || options.dateStyle,
+        numberStyle: configOptions.numberStyle || attrs['data-get-details-number-style'] || options.numberStyle
+      };
+      result.report = result.badge
+        ? renderBadge(data, format, { ...result.badge, source, ...formatting })
+        : getReport(data, format, source, formatting);
+    } catch (error) {
+      result.error = error;
+      if (onError) {
+        onError(error, hasConfig ? attrs['data-get-details-config'] : attrs['data-get-details']);
+      } else {
+        console.error('Error processing element:', error);
+      }
+    }
+    return result;
+  }));
+
+  // Like in the browser, the first element that renders into a target wins, and fallbacks only fill targets nobody rendered
+  const contents = new Map();
+  const edits = [];
+  results.filter(result => !result.error).forEach(({ host, targets, report }) => {
+    targets.filter(target => !contents.has(target)).forEach(target => contents.set(target, report));
+    const openTag = html.slice(host.start, host.openEnd);
+    edits.push({ start: host.start, end: host.openEnd, text: openTag.replace(DETAILS_ATTRIBUTE, '') });
+  });
+  results.filter(result => result.error && (result.badge || result.fallback !== undefined)).forEach(({ targets, badge, format, fallback, error }) => {
+    const text = badge ? renderStateBadge('error', { ...badge, format, fallback }, error) : escapeHtml(fallback);
+    targets.filter(target => !contents.has(target)).forEach(target => contents.set(target, text));
+  });
+  contents.forEach((text, target) => {
+    if (target.closeStart !== null && !RAW_TEXT_ELEMENTS.includes(target.tag)) {
+      edits.push({ start: target.openEnd, end: target.closeStart, text });
+    }
+  });
+
+  // Edits inside a replaced element's content are dropped along with the content
+  let lastEnd = 0;
+  const kept = edits
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .filter((edit) => {
+      if (edit.start < lastEnd) {
+        return false;
+      }
+      lastEnd = edit.end;
+      return true;
+    });
+
+  return kept.reduceRight((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), html);
+};
+
+/**
+ * Initialize the package version fetcher.
+ * Without a package name, processes all elements with the data-get-details attribute in the document.
+ * If str is true, returns the package data, or the report if a format is given, without touching the DOM.
+ *
+ * @param {Object} options - Options object
+ * @param {string} [options.packageName] - Package name or repository path
+ * @param {string} [options.target=null] - Target element selector
+ * @param {string} [options.source='npm'] - Source name: 'npm', 'pypi', 'github', 'gitlab', 'crates', 'packagist', 'rubygems', 'maven', 'nuget', 'go', 'docker' or a registered custom source
+ * @param {string} [options.format=''] - Format string to generate report
+ * @param {boolean} [options.str=false] - If true, returns data instead of processing DOM; works without a DOM, e.g. in Node
+ * @param {string|number|boolean|Object} [options.cache] - Response cache setting: `false` to disable, a TTL in seconds, or `{ ttl, storage, staleWhileRevalidate }`
+ * @param {string} [options.baseUrl] - API base URL for self-hosted registries, e.g. 'https://git.example.com/api/v4'
+ * @param {string} [options.version] - Version spec: a semver range ('^2', '2.x'), a dist-tag ('next') or a pre-release channel ('beta'); latest by default
+ * @param {boolean} [options.prerelease=false] - If true, pre-release versions may be picked
+ * @param {number} [options.releases] - Number of past releases for `%*releases[...]`, for GitHub and GitLab
+ * @param {string} [options.locale] - Locale for dates and numbers, e.g. 'de-DE'; the browser locale by default
+ * @param {string} [options.timeZone] - Time zone for dates, e.g. 'UTC'; the browser time zone by default
+ * @param {string} [options.dateStyle] - Date style: 'numeric', 'short', 'medium', 'long', 'full', 'relative' or a pattern such as 'YYYY-MM-DD'
+ * @param {string} [options.numberStyle] - Number style: 'standard', 'compact' or 'raw'
+ * @param {string} [options.fallback] - Text shown in the target elements when loading fails
+ * @param {boolean|Object} [options.badge] - Render an SVG badge, see renderBadge; true for the defaults or an object with
+ *   `label`, `color`, `labelColor`, `style` and `current`. With str, the badge is returned as an SVG string
+ * @returns {Promise<Object|string|void>} Returns package data or the report if str is true, otherwise void
+ * @throws {GetDetailsError} If str is true and the data cannot be loaded
+ */
+const main = async ({ packageName, target = null, source = 'npm', format = '', str = false, cache, baseUrl, version, prerelease, releases, locale, timeZone, dateStyle, numberStyle, fallback, badge } = {}) => {
+  if (!packageName) {
+    return refresh();
+  }
+
+  if (str) {
+    // Normalized like the attribute, so "pkg@version", "source:url" and "{format}" work the same way
+    const parsed = normalizeConfig({ package: packageName, source, version, baseUrl, format: unwrapFormat(format) });
+    const data = await fetchDetails(parsed.source, parsed.pkg, {
+      cache,
+      baseUrl: parsed.baseUrl,
+      version: parsed.version,
+      prerelease,
+      releases
+    });
+    if (badge) {
+      return renderBadge(data, parsed.format, { ...(badge === true ? {} : badge), source: parsed.source, locale, timeZone, dateStyle, numberStyle });
+    }
+    return parsed.format ? renderDetails(data, parsed.format, { source: parsed.source, locale, timeZone, dateStyle, numberStyle }) : data;
+  }
+
+  const elTmp = document.createElement('div');
+  elTmp.setAttribute('data-get-details', `${packageName},${target},${source},${format}`);
+
+  document.body.appendChild(elTmp);
+  await action(elTmp, { packageName, target, source, format, cache, baseUrl, version, prerelease, releases, locale, timeZone, dateStyle, numberStyle, fallback, badge });
+  document.body.removeChild(elTmp);
+};
+
+// Defined when the module loads, so elements work without calling anything; they wait for the DOM to load
+const GetDetailsElement = defineElement();
+
+// The default export carries the other functions too, so `getDetails.fetch()` works with every entry point
+Object.assign(main, { registerSource, configure, GetDetailsError, refresh, observe, disconnect, fetch: fetchDetails, render: renderDetails, renderBadge, renderHtml, unwrapFormat });
+
+export { registerSource, configure, GetDetailsError, refresh, observe, disconnect, fetchDetails as fetch, renderDetails as render, renderBadge, renderHtml, unwrapFormat };
+export default main;
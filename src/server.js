@@ -0,0 +1,146 @@
+/**
+ * Reference server handlers for the proxy mode (`configure({ proxy: '/api/details' })`), so browsers
+ * only contact your own origin. They run the built-in and registered sources on the server, cache the
+ * results in memory and return the normalized data as JSON.
+ *
+ * Tokens and base URLs for the upstream APIs are set with configure() from the 'get-details' ES module,
+ * which shares its configuration with this module.
+ */
+import { fetch as fetchDetails, GetDetailsError } from './core.js';
+
+/**
+ * Response status for each GetDetailsError type. Upstream failures are reported as a bad gateway.
+ */
+const ERROR_STATUS = {
+  'not-found': 404,
+  'rate-limited': 429,
+  unsupported: 400,
+  network: 502,
+  parse: 502,
+  http: 502
+};
+
+/**
+ * Source names accepted from the query. A base URL ("gitlab:https://...") would let clients make the
+ * server request any URL, so it can only be configured on the server.
+ */
+const SOURCE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Creates the framework-independent request handler shared by createNodeHandler and createFetchHandler.
+ *
+ * @param {Object} [options] - Handler options.
+ * @param {Array<string>} [options.sources] - Source names clients may request. Defaults to all registered sources.
+ * @param {number} [options.ttl=3600] - Seconds to keep results in the memory cache, also sent as `Cache-Control: max-age`.
+ * @param {number} [options.maxEntries=1000] - Maximum number of cached results; the oldest are dropped first.
+ * @param {string} [options.allowOrigin] - Value of the Access-Control-Allow-Origin header, for pages on another origin.
+ * @returns {Function} - `(method, params) => Promise<{ status, headers, body }>` taking the request method and URLSearchParams.
+ */
+const createProxy = ({ sources, ttl = 3600, maxEntries = 1000, allowOrigin } = {}) => {
+  const allowed = sources && sources.map(name => name.toLowerCase());
+  const cache = new Map();
+
+  const reply = (status, data, headers = {}) => ({
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(allowOrigin ? { 'Access-Control-Allow-Origin': allowOrigin } : {}),
+      ...headers
+    },
+    body: data === undefined ? '' : JSON.stringify(data)
+  });
+
+  // Errors are not cached, so a failed package is requested again next time
+  const replyError = (error, status, extraHeaders = {}) => {
+    const { type, message, resetAt } = error instanceof GetDetailsError ? error : new GetDetailsError('http', 'Internal error');
+    const headers = { 'Cache-Control': 'no-store', ...extraHeaders };
+    if (resetAt) {
+      headers['Retry-After'] = String(Math.max(0, Math.ceil((resetAt.getTime() - Date.now()) / 1000)));
+    }
+    return reply(status || ERROR_STATUS[type] || 500, { error: { type, message, resetAt: resetAt ? resetAt.toISOString() : null } }, headers);
+  };
+
+  return async (method, params) => {
+    if (method === 'OPTIONS') {
+      return reply(204, undefined, { 'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS', 'Access-Control-Allow-Headers': '*' });
+    }
+    if (method !== 'GET' && method !== 'HEAD') {
+      return replyError(new GetDetailsError('http', `Method ${method} not allowed`), 405, { Allow: 'GET, HEAD, OPTIONS' });
+    }
+
+    const source = (params.get('source') || 'npm').toLowerCase();
+    const pkg = params.get('pkg');
+    const version = params.get('version') || undefined;
+    const prerelease = ['1', 'true'].includes(params.get('prerelease'));
+    // Limited like in getData, so clients cannot fill the cache with every count
+    const releases = Math.min(Math.max(Number.parseInt(params.get('releases'), 10) || 0, 0), 100);
+
+    if (!pkg) {
+      return replyError(new GetDetailsError('http', 'The pkg parameter is required'), 400);
+    }
+    if (!SOURCE_NAME.test(source) || (allowed && !allowed.includes(source))) {
+      return replyError(new GetDetailsError('unsupported', `Unsupported source: ${source}`));
+    }
+
+    const key = JSON.stringify([source, pkg, version, prerelease, releases]);
+    const entry = cache.get(key);
+    if (entry && entry.expires > Date.now()) {
+      return reply(200, entry.data, { 'Cache-Control': `public, max-age=${Math.ceil((entry.expires - Date.now()) / 1000)}` });
+    }
+
+    let data;
+    try {
+      // Never through a proxy configured in the same process, which may be this handler
+      data = await fetchDetails(source, pkg, { version, prerelease, releases, cache: false, proxy: false });
+    } catch (error) {
+      return replyError(error);
+    }
+
+    cache.delete(key);
+    cache.set(key, { data, expires: Date.now() + ttl * 1000 });
+    if (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+    return reply(200, data, { 'Cache-Control': `public, max-age=${ttl}` });
+  };
+};
+
+/**
+ * Creates a handler for Node's http module, also usable as Express or Connect middleware.
+ *
+ * @example
+ * http.createServer(createNodeHandler({ sources: ['npm', 'github'] })).listen(8080);
+ *
+ * @param {Object} [options] - Handler options, see createProxy.
+ * @returns {Function} - `(req, res) => Promise<void>`.
+ */
+const createNodeHandler = (options) => {
+  const handle = createProxy(options);
+
+  return async (req, res) => {
+    const { status, headers, body } = await handle(req.method, new URL(req.url, 'http://localhost').searchParams);
+    res.writeHead(status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  };
+};
+
+/**
+ * Creates a handler for runtimes built on the Fetch API, such as Cloudflare Workers, Deno and Bun.
+ * Workers keep the memory cache only while an isolate lives; `Cache-Control` lets the edge cache the rest.
+ *
+ * @example
+ * export default { fetch: createFetchHandler({ ttl: 600 }) };
+ *
+ * @param {Object} [options] - Handler options, see createProxy.
+ * @returns {Function} - `(request) => Promise<Response>`.
+ */
+const createFetchHandler = (options) => {
+  const handle = createProxy(options);
+
+  return async (request) => {
+    const { status, headers, body } = await handle(request.method, new URL(request.url).searchParams);
+    return new Response(request.method === 'HEAD' || status === 204 ? null : body, { status, headers });
+  };
+};
+
+export { createNodeHandler, createFetchHandler };
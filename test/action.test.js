@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixtures, createPage, settle } from './helpers.js';
+
+const fixtures = loadFixtures('npm', 'github', 'docker');
+
+const contents = (document, selector) => [...document.querySelectorAll(selector)].map(el => el.innerHTML);
+
+test('elements without a target render into themselves when the page loads', async (t) => {
+  const { document } = await createPage(t, `
+    <span id="a" data-get-details="get-details"></span>
+    <span id="b" data-get-details="frontend-layers/get-details,,github,{%owner}"></span>
+  `, { fixtures });
+  assert.deepEqual(contents(document, 'span'), ['1.0.16', 'frontend-layers']);
+  assert.equal(document.getElementById('a').getAttribute('data-get-details-state'), 'loaded');
+  assert.ok(document.getElementById('a').classList.contains('get-details-loaded'));
+});
+
+test('renders into the elements the target selects and marks them all', async (t) => {
+  const { document } = await createPage(t, `
+    <div id="host" data-get-details="get-details,.version"></div>
+    <p class="version"></p><p class="version"></p>
+  `, { fixtures });
+  assert.deepEqual(contents(document, '.version'), ['1.0.16', '1.0.16']);
+  assert.equal(document.getElementById('host').innerHTML, '');
+  assert.equal(document.querySelectorAll('#host[data-get-details-state="loaded"], .version[data-get-details-state="loaded"]').length, 3);
+});
+
+test('script elements render into the default targets', async (t) => {
+  const { document } = await createPage(t, `
+    <script data-get-details="get-details"></script>
+    <p id="package_version"></p><p class="current-version"></p>
+  `, { fixtures });
+  assert.deepEqual(contents(document, 'p'), ['1.0.16', '1.0.16']);
+  assert.equal(document.querySelector('script').innerHTML, '');
+});
+
+test('an element rendered by one host is not overwritten by another', async (t) => {
+  const { document } = await createPage(t, `
+    <div data-get-details="get-details,#out,,{first %version}"></div>
+    <div data-get-details="get-details,#out,,{second %version}"></div>
+    <p id="out"></p>
+  `, { fixtures });
+  assert.equal(document.getElementById('out').innerHTML, 'first 1.0.16');
+});
+
+test('getDetails() renders into a target and removes its temporary element', async (t) => {
+  const { window, document, getDetails } = await createPage(t, '<p class="a"></p><p id="package_version"></p>', { fixtures });
+  await getDetails({ packageName: 'get-details', target: '.a', format: '%name %version' });
+  assert.deepEqual(contents(document, 'p'), ['get-details 1.0.16', '']);
+
+  await getDetails({ packageName: 'frontend-layers/get-details', source: 'github' });
+  assert.deepEqual(contents(document, 'p'), ['get-details 1.0.16', '1.0.16']);
+  assert.equal(document.body.children.length, 2);
+
+  assert.equal(await getDetails({ packageName: 'get-details', str: true, format: '{%name}' }), 'get-details');
+  assert.equal((await getDetails({ packageName: 'get-details', str: true })).version, '1.0.16');
+  await settle(window);
+});
+
+test('processes elements added and changed later once observed', async (t) => {
+  const { window, document, getDetails } = await createPage(t, '', { fixtures });
+  getDetails.observe(document.body);
+  t.after(() => getDetails.disconnect());
+
+  const el = document.createElement('span');
+  el.setAttribute('data-get-details', 'get-details');
+  document.body.append(el);
+  await settle(window);
+  assert.equal(el.innerHTML, '1.0.16');
+
+  el.setAttribute('data-get-details', 'get-details,,,{%name}');
+  await settle(window);
+  assert.equal(el.innerHTML, 'get-details');
+});
+
+test('dispatches loading and loaded events with the data', async (t) => {
+  const { window, document, getDetails } = await createPage(t, '<span data-get-details="get-details"></span>', { fixtures });
+  const events = [];
+  document.addEventListener('getdetails:loading', event => events.push([event.type, event.detail.pkg]));
+  document.addEventListener('getdetails:loaded', event => events.push([event.type, event.detail.data.version]));
+  await getDetails.refresh(document.querySelector('span'));
+  await settle(window);
+  assert.deepEqual(events, [['getdetails:loading', 'get-details'], ['getdetails:loaded', '1.0.16']]);
+});
+
+test('renders a badge when the badge attribute is set', async (t) => {
+  const { document } = await createPage(t, '<span data-get-details="get-details" data-get-details-badge="npm"></span>', { fixtures });
+  const svg = document.querySelector('span svg');
+  assert.equal(svg.getAttribute('role'), 'img');
+  assert.equal(svg.getAttribute('aria-label'), 'npm: 1.0.16');
+});
+
+test('collections render the rows of loaded entries next to failed ones', async (t) => {
+  const { document, errors } = await createPage(t, `
+    <ul data-get-details-list="docker:acme/missing, docker:nginx"><template><li>%name %version %pulls</li></template></ul>
+  `, { fixtures });
+  const list = document.querySelector('ul');
+  const rows = [...list.querySelectorAll('li')];
+  assert.deepEqual(rows.map(row => row.textContent.trim()), ['acme/missing', 'nginx 1.27.0 1,000,000,000']);
+  assert.deepEqual(rows.map(row => row.getAttribute('data-get-details-state')), ['error', null]);
+  assert.equal(rows[0].getAttribute('data-get-details-error'), 'not-found');
+  assert.equal(list.getAttribute('data-get-details-state'), 'loaded');
+  assert.deepEqual(errors.map(([, error]) => error.type), ['not-found']);
+});
+
+test('placeholders that fail only empty their own value, and failed entries are logged once', async (t) => {
+  const { window, document, getDetails, errors } = await createPage(t, '', { fixtures });
+  getDetails.registerSource('flaky', {
+    fetch: async (pkg) => {
+      if (pkg === 'missing') {
+        throw new getDetails.GetDetailsError('not-found', 'Not found: missing');
+      }
+      return { version: '1.0.0', name: pkg, extra: { size: 3 } };
+    },
+    placeholders: { size: data => data.extra.size }
+  });
+  const list = document.createElement('ul');
+  list.setAttribute('data-get-details-list', 'flaky:missing, flaky:ok');
+  list.innerHTML = '<template><li>%name %version %size</li></template>';
+  document.body.append(list);
+  await getDetails.refresh(list);
+  await settle(window);
+
+  assert.deepEqual([...list.querySelectorAll('li')].map(row => row.textContent.trim()), ['missing', 'ok 1.0.0 3']);
+  assert.deepEqual(errors.map(([, error]) => error.message), ['Not found: missing']);
+});
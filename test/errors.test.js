@@ -0,0 +1,135 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configure, fetch as fetchDetails, GetDetailsError } from '../src/core.js';
+import { loadFixtures, createFetch, createPage, settle } from './helpers.js';
+
+const fixtures = loadFixtures('npm', 'pypi', 'github', 'gitlab');
+
+beforeEach(() => {
+  configure({ fetch: createFetch(fixtures) });
+});
+
+const load = (source, pkg, options) => fetchDetails(source, pkg, { cache: false, ...options });
+
+test('missing packages and versions are not-found errors', async () => {
+  await assert.rejects(load('npm', 'no-such-package'), {
+    name: 'GetDetailsError',
+    type: 'not-found',
+    status: 404,
+    message: 'Not found: https://registry.npmjs.org/no-such-package'
+  });
+  await assert.rejects(load('npm', 'get-details@^9'), { type: 'not-found', message: 'No version of get-details matches "^9"' });
+  await assert.rejects(load('pypi', 'no-such-project'), { type: 'not-found' });
+  await assert.rejects(load('github', 'frontend-layers/missing'), { type: 'not-found' });
+  await assert.rejects(load('github', 'frontend-layers/tags-only@^3'), { type: 'not-found', message: 'No version of frontend-layers/tags-only matches "^3"' });
+  await assert.rejects(load('gitlab', 'gitlab-org/missing'), { type: 'not-found' });
+});
+
+test('rate limits are reported with their reset time', async () => {
+  const before = Date.now();
+  const error = await load('npm', 'rate-limited').catch(failure => failure);
+  assert.ok(error instanceof GetDetailsError);
+  assert.equal(error.type, 'rate-limited');
+  assert.equal(error.status, 429);
+  assert.ok(error.resetAt.getTime() >= before + 60000);
+
+  // GitHub answers 403 with a Unix timestamp once the quota is used up
+  await assert.rejects(load('github', 'frontend-layers/limited'), (failure) => {
+    assert.equal(failure.type, 'rate-limited');
+    assert.equal(failure.status, 403);
+    assert.equal(failure.resetAt.toISOString(), '2024-06-18T16:00:00.000Z');
+    return true;
+  });
+});
+
+test('other failures are http, parse, network and unsupported errors', async () => {
+  await assert.rejects(load('npm', 'server-error'), { type: 'http', status: 500, message: 'HTTP error! status: 500' });
+  await assert.rejects(load('npm', 'broken'), { type: 'parse', message: 'Invalid JSON: https://registry.npmjs.org/broken' });
+  await assert.rejects(load('npm', 'not-recorded'), (error) => {
+    assert.equal(error.type, 'network');
+    assert.match(error.cause.message, /^No fixture for /);
+    return true;
+  });
+  await assert.rejects(load('nowhere', 'get-details'), { type: 'unsupported', message: 'Unsupported source: nowhere' });
+});
+
+test('configure() rejects a fetch option that is not a function', () => {
+  assert.throws(() => configure({ fetch: 'fetch' }), TypeError);
+});
+
+test('failed elements show their fallback, state, error event and console error', async (t) => {
+  const { window, document, getDetails, errors } = await createPage(t, `
+    <span id="missing" data-get-details="no-such-package" data-get-details-fallback="n/a">…</span>
+    <span id="limited" data-get-details="rate-limited">…</span>
+  `, { fixtures });
+  const missing = document.getElementById('missing');
+  const limited = document.getElementById('limited');
+
+  assert.equal(missing.textContent, 'n/a');
+  assert.equal(missing.getAttribute('data-get-details-state'), 'error');
+  assert.equal(missing.getAttribute('data-get-details-error'), 'not-found');
+  assert.ok(missing.classList.contains('get-details-error'));
+  // Without a fallback, the content stays
+  assert.equal(limited.textContent, '…');
+  assert.equal(limited.getAttribute('data-get-details-error'), 'rate-limited');
+  assert.equal(errors.length, 2);
+
+  let detail;
+  document.addEventListener('getdetails:error', (event) => { detail = event.detail; });
+  await getDetails.refresh(missing);
+  await settle(window);
+  assert.equal(detail.pkg, 'no-such-package');
+  assert.equal(detail.error.type, 'not-found');
+});
+
+test('invalid attributes are config errors on their element', async (t) => {
+  const cases = {
+    '': 'Package name is required in data-get-details attribute',
+    ',#out': 'Package name is required in data-get-details attribute',
+    'get-details,"#out': 'Unterminated quote at position 13 of the data-get-details attribute',
+    'get-details,,,{%name': 'Missing "}" for the format starting at position 15 of the data-get-details attribute',
+    'get-details,,,{%name} x': 'Unexpected text after the format at position 22 of the data-get-details attribute',
+    'get-details,#out,npm,%name,extra': 'Too many fields in the data-get-details attribute',
+    'get-details,#out,npm,%name{%version}': 'Too many fields in the data-get-details attribute'
+  };
+  const { window, document, getDetails, fetch, errors } = await createPage(t, '<p id="out"></p>', { fixtures });
+  const messages = [];
+  document.addEventListener('getdetails:error', event => messages.push(event.detail.error.message));
+
+  for (const attrValue of Object.keys(cases)) {
+    const el = document.createElement('div');
+    el.setAttribute('data-get-details', attrValue);
+    el.setAttribute('data-get-details-fallback', 'invalid');
+    document.body.append(el);
+    await getDetails.refresh(el);
+    await settle(window);
+    assert.equal(el.getAttribute('data-get-details-error'), 'config');
+    assert.equal(el.textContent, 'invalid');
+  }
+
+  assert.deepEqual(messages.map(message => message.split(':')[0]), Object.values(cases));
+  assert.equal(errors.length, Object.keys(cases).length);
+  assert.equal(fetch.requests.length, 0);
+});
+
+test('invalid data-get-details-config values are config errors', async (t) => {
+  const cases = {
+    '{"package": "get-details",}': /^Invalid JSON in the data-get-details-config attribute/,
+    '["get-details"]': /^The data-get-details-config attribute must be a JSON object$/,
+    '{"package": "get-details", "colour": "red"}': /^Unknown key "colour"/,
+    '{"package": "get-details", "prerelease": "yes"}': /^"prerelease" must be a boolean/,
+    '{"version": "^1"}': /^"package" is required/
+  };
+  const { document, getDetails } = await createPage(t, '', { fixtures });
+
+  for (const [attrValue, message] of Object.entries(cases)) {
+    const el = document.createElement('div');
+    el.setAttribute('data-get-details-config', attrValue);
+    document.body.append(el);
+    let error;
+    el.addEventListener('getdetails:error', (event) => { error = event.detail.error; });
+    await getDetails.refresh(el);
+    assert.equal(error.type, 'config');
+    assert.match(error.message, message);
+  }
+});
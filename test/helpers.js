@@ -0,0 +1,92 @@
+/**
+ * Test helpers. Tests never reach a live registry: API responses are replayed from the recorded
+ * fixtures in test/fixtures through the fetch option of configure().
+ */
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+/**
+ * The browser script, evaluated in a fresh page per test so no state is shared between tests.
+ */
+const BROWSER_SCRIPT = readFileSync(new URL('../index.js', import.meta.url), 'utf8');
+
+/**
+ * Reads fixture files. Each maps a request URL to its recorded response: `body` (JSON), or `text`
+ * for a body that is not JSON, with an optional `status` (200 by default) and `headers`.
+ *
+ * @param {...string} names - Fixture file names without the extension, e.g. 'npm'.
+ * @returns {Object<string, Object>} - The responses of all files, keyed by URL.
+ */
+const loadFixtures = (...names) => Object.assign({}, ...names.map(name => JSON.parse(
+  readFileSync(new URL(`fixtures/${name}.json`, import.meta.url), 'utf8')
+)));
+
+/**
+ * Creates a fetch function replaying recorded responses. Requests for URLs without a fixture are
+ * rejected like a network failure, so a missing fixture shows up as a `network` error.
+ *
+ * @param {Object<string, Object>} fixtures - Responses keyed by URL, see loadFixtures.
+ * @returns {Function} - The fetch function. Its `requests` property lists the requests as `{ url, headers }`.
+ */
+const createFetch = (fixtures) => {
+  const requests = [];
+  const replay = async (url, { headers = {} } = {}) => {
+    requests.push({ url: String(url), headers });
+    const fixture = fixtures[String(url)];
+    if (!fixture) {
+      throw new TypeError(`No fixture for ${url}`);
+    }
+    const body = fixture.text !== undefined ? fixture.text : JSON.stringify(fixture.body);
+    return new Response(body, { status: fixture.status || 200, headers: fixture.headers });
+  };
+  return Object.assign(replay, { requests });
+};
+
+/**
+ * Waits until no element of a page is loading, or fails after a second.
+ *
+ * @param {Window} window - The page.
+ * @returns {Promise<void>}
+ */
+const settle = async (window) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    if (!window.document.querySelector('[data-get-details-state="loading"]')) {
+      return;
+    }
+  }
+  throw new Error('Elements are still loading');
+};
+
+/**
+ * Loads the browser script into a jsdom page with the given body, replaying fixtures, and waits until
+ * the elements are processed. The page is closed when the test ends.
+ *
+ * @param {TestContext} t - The test, for closing the page.
+ * @param {string} body - HTML of the page body.
+ * @param {Object} [options] - Page options.
+ * @param {Object<string, Object>} [options.fixtures] - Responses keyed by URL, see loadFixtures.
+ * @returns {Promise<Object>} - `{ window, document, getDetails, fetch, errors }`, where `errors` has the
+ *   arguments of each console.error() call.
+ */
+const createPage = async (t, body, { fixtures = {} } = {}) => {
+  const { window } = new JSDOM(`<!DOCTYPE html><html><body>${body}</body></html>`, {
+    url: 'https://example.com/',
+    runScripts: 'outside-only'
+  });
+  t.after(() => window.close());
+
+  const errors = [];
+  window.console.error = (...args) => errors.push(args);
+  window.eval(BROWSER_SCRIPT);
+
+  const fetch = createFetch(fixtures);
+  window.getDetails.configure({ fetch });
+  // jsdom has loaded the document already; the script starts on this event
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await settle(window);
+
+  return { window, document: window.document, getDetails: window.getDetails, fetch, errors };
+};
+
+export { loadFixtures, createFetch, createPage, settle };
@@ -0,0 +1,36 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configure, renderHtml } from '../src/core.js';
+import { loadFixtures, createFetch } from './helpers.js';
+
+const fixtures = loadFixtures('npm');
+let fetch;
+
+beforeEach(() => {
+  fetch = createFetch(fixtures);
+  configure({ fetch });
+});
+
+test('renders elements and targets and removes their attributes', async () => {
+  const html = await renderHtml('<span data-get-details="get-details,,,{%name %version}"></span><div data-get-details="get-details,#out"></div><p id="out">…</p>');
+  assert.equal(html, '<span>get-details 1.0.16</span><div></div><p id="out">1.0.16</p>');
+});
+
+test('leaves collections and <get-details> elements unchanged for the browser script', async () => {
+  const markup = [
+    '<ul data-get-details-list="get-details"><template><li>%name %version</li></template></ul>',
+    '<ul data-get-details-manifest="/package.json"><template><li>%name</li></template></ul>',
+    '<get-details package="get-details"></get-details>'
+  ].join('');
+  assert.equal(await renderHtml(markup), markup);
+  assert.equal(fetch.requests.length, 0);
+});
+
+test('renders badges with the same ids on every run', async () => {
+  const markup = '<span data-get-details="get-details" data-get-details-badge="npm"></span><span data-get-details="get-details,,,{%license}" data-get-details-badge="license"></span>';
+  const first = await renderHtml(markup);
+  assert.equal(await renderHtml(markup), first);
+  const ids = [...first.matchAll(/<clipPath id="([^"]+)"/g)].map(match => match[1]);
+  assert.equal(ids.length, 2);
+  assert.notEqual(ids[0], ids[1]);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixtures, createPage } from './helpers.js';
+
+const fixtures = loadFixtures('npm');
+
+/**
+ * Renders one element with a data-get-details attribute next to the given markup.
+ *
+ * @param {TestContext} t - The test.
+ * @param {string} attrValue - Value of the data-get-details attribute.
+ * @param {string} [markup] - Other elements of the page, e.g. targets.
+ * @returns {Promise<Object>} - The page, see createPage, and the element as `el`.
+ */
+const renderAttribute = async (t, attrValue, markup = '') => {
+  const page = await createPage(t, `<div id="host"></div>${markup}`, { fixtures });
+  const el = page.document.getElementById('host');
+  el.setAttribute('data-get-details', attrValue);
+  await page.getDetails.refresh(el);
+  return { ...page, el };
+};
+
+test('reads the package and renders the version into the element', async (t) => {
+  const { el } = await renderAttribute(t, 'get-details');
+  assert.equal(el.innerHTML, '1.0.16');
+});
+
+test('splits a version spec off the package name', async (t) => {
+  const { el } = await renderAttribute(t, 'get-details@~1.0.15 <1.0.16');
+  assert.equal(el.innerHTML, '1.0.15');
+});
+
+test('trims fields and treats an empty target as the element itself', async (t) => {
+  const { el } = await renderAttribute(t, ' get-details ,  , npm , {%name}');
+  assert.equal(el.innerHTML, 'get-details');
+});
+
+test('reads the format from the first to the last brace, including commas and braces', async (t) => {
+  const { el } = await renderAttribute(t, 'get-details,,,{%name, {v%version}}');
+  assert.equal(el.innerHTML, 'get-details, {v1.0.16}');
+});
+
+test('reads a fourth field without braces as the format', async (t) => {
+  const { el } = await renderAttribute(t, 'get-details,,npm,%name v%version');
+  assert.equal(el.innerHTML, 'get-details v1.0.16');
+});
+
+test('keeps commas in quoted fields and in parentheses and brackets', async (t) => {
+  const markup = '<p class="a"></p><p class="b"></p><p title="x,y"></p>';
+  const page = await renderAttribute(t, 'get-details,".a, .b",,{%version}', markup);
+  assert.deepEqual([...page.document.querySelectorAll('.a, .b')].map(p => p.innerHTML), ['1.0.16', '1.0.16']);
+
+  const nested = await renderAttribute(t, "get-details,:is(.a, [title='x,y']),,{%name}", markup);
+  assert.deepEqual([...nested.document.querySelectorAll('p')].map(p => p.innerHTML), ['get-details', '', 'get-details']);
+});
+
+test('unescapes backslashes before commas, braces, quotes and backslashes outside the format', async (t) => {
+  const markup = '<p class="a"></p><p class="b"></p>';
+  const page = await renderAttribute(t, 'get-details,.a\\, .b,,%name \\{%version\\}', markup);
+  assert.deepEqual([...page.document.querySelectorAll('p')].map(p => p.innerHTML), ['get-details {1.0.16}', 'get-details {1.0.16}']);
+
+  const { el } = await renderAttribute(t, 'get-details,,,{%name \\, %version}');
+  assert.equal(el.innerHTML, 'get-details \\, 1.0.16');
+});
+
+test('reads quotes after the start of a field as apostrophes', async (t) => {
+  const { el } = await renderAttribute(t, "get-details,,,%name's version");
+  assert.equal(el.innerHTML, "get-details's version");
+});
+
+test('reads a base URL after the source name', async (t) => {
+  const { fetch } = await renderAttribute(t, 'get-details,,npm:https://npm.example.com');
+  assert.deepEqual(fetch.requests.map(request => request.url).slice(-1), ['https://npm.example.com/get-details']);
+});
+
+test('does not send configured tokens to a base URL from the attribute', async (t) => {
+  const page = await createPage(t, '<div id="host"></div>', { fixtures });
+  page.getDetails.configure({ tokens: { github: 'test-token' } });
+  const el = page.document.getElementById('host');
+  el.setAttribute('data-get-details', 'a/b,,github:https://attacker.example');
+  await page.getDetails.refresh(el);
+  const requests = page.fetch.requests.filter(request => request.url.startsWith('https://attacker.example/'));
+  assert.ok(requests.length > 0);
+  assert.ok(requests.every(request => !request.headers.Authorization));
+});
+
+test('reads the data-get-details-config attribute', async (t) => {
+  const page = await createPage(t, '<p class="a"></p><p class="b"></p>', { fixtures });
+  const el = page.document.createElement('div');
+  el.setAttribute('data-get-details-config', JSON.stringify({
+    package: 'get-details',
+    version: '~1.0.15 <1.0.16',
+    target: '.a, .b',
+    format: '{%name, %version}'
+  }));
+  page.document.body.append(el);
+  await page.getDetails.refresh(el);
+  assert.deepEqual([...page.document.querySelectorAll('p')].map(p => p.innerHTML), ['get-details, 1.0.15', 'get-details, 1.0.15']);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { configure, render, unwrapFormat } from '../src/core.js';
+
+configure({ locale: 'en-US', timeZone: 'UTC' });
+
+const data = {
+  name: 'get-details',
+  version: '1.0.16',
+  description: 'Loads <b>details</b> & "more"',
+  license: '',
+  author: '',
+  homepage: '',
+  repository: 'https://github.com/frontend-layers/get-details',
+  lastUpdate: '2024-06-18T15:42:10.511Z',
+  releaseDate: '2024-05-21T08:30:00.000Z',
+  stars: 15300,
+  downloads: { lastWeek: 1834, lastMonth: 7420 },
+  releaseNotes: '## Fixes\n\n- **Dates** in [Safari](https://example.com/safari_(browser))\n\n<script>alert(1)</script>'
+};
+
+test('renders the version without a format', () => {
+  assert.equal(render(data), '1.0.16');
+  assert.equal(render(data, ''), '1.0.16');
+  assert.equal(render({}, ''), '');
+});
+
+test('unwraps formats copied from attributes', () => {
+  assert.equal(unwrapFormat(' {%name, {v%version}} '), '%name, {v%version}');
+  assert.equal(unwrapFormat('%name {beta}'), '%name {beta}');
+  assert.equal(unwrapFormat('{ }'), undefined);
+  assert.equal(unwrapFormat(), undefined);
+});
+
+test('replaces placeholders by exact, case-insensitive names', () => {
+  assert.equal(render(data, '%name %version'), 'get-details 1.0.16');
+  assert.equal(render(data, '%NAME@%Version'), 'get-details@1.0.16');
+  assert.equal(render(data, '%name-%version'), 'get-details-1.0.16');
+  assert.equal(render(data, '%names %unknown'), '%names %unknown');
+  assert.equal(render(data, '100%% %name'), '100% get-details');
+  assert.equal(render(data, '%copy'), '©');
+  assert.equal(render(data, '%year'), String(new Date().getFullYear()));
+});
+
+test('escapes values but not the format', () => {
+  assert.equal(render(data, '<em>%description</em>'), '<em>Loads &lt;b&gt;details&lt;/b&gt; &amp; &quot;more&quot;</em>');
+  assert.equal(render(data, '%description:raw'), 'Loads <b>details</b> & "more"');
+  assert.equal(render(data, '%description', { escape: false }), 'Loads <b>details</b> & "more"');
+});
+
+test('cleans up separators of empty values in plain formats', () => {
+  assert.equal(render(data, '%name, %license, %version'), 'get-details, 1.0.16');
+  assert.equal(render(data, '%name  %author  %version'), 'get-details 1.0.16');
+  assert.equal(render(data, '%name, %author,'), 'get-details');
+  assert.equal(render(data, ', %author, %name'), 'get-details');
+  assert.equal(render(data, '%name v%version (%license)'), 'get-details v1.0.16');
+  assert.equal(render(data, '(%license) %name'), 'get-details');
+});
+
+test('renders formats with fallbacks, sections or filters as written', () => {
+  assert.equal(render(data, '%name (%license|%author)'), 'get-details ()');
+  assert.equal(render(data, '%homepage|%repository'), 'https://github.com/frontend-layers/get-details');
+  assert.equal(render(data, "%license|'unlicensed'"), 'unlicensed');
+  assert.equal(render(data, '%name%?license[ (%license)]%!license[, no license]'), 'get-details, no license');
+  assert.equal(render(data, '%name|upper %[beta%]'), 'GET-DETAILS [beta]');
+  assert.equal(render(data, '%description|truncate(5)'), 'Loads…');
+});
+
+test('formats dates and numbers', () => {
+  assert.equal(render(data, '%last-update'), '6/18/2024');
+  assert.equal(render(data, '%release-date|date(YYYY-MM-DD)'), '2024-05-21');
+  assert.equal(render(data, '%last-update', { locale: 'de-DE', dateStyle: 'long' }), '18. Juni 2024');
+  assert.equal(render(data, '%stars'), '15,300');
+  assert.equal(render(data, '%stars|number(compact)'), '15.3K');
+  assert.equal(render(data, '%stars', { numberStyle: 'raw' }), '15300');
+  assert.equal(render(data, '%downloads'), '7,420');
+});
+
+test('renders release notes as sanitized HTML or text', () => {
+  assert.equal(
+    render(data, '%release-notes:html'),
+    '<h2>Fixes</h2>\n<ul><li><strong>Dates</strong> in <a href="https://example.com/safari_(browser)">Safari</a></li></ul>\n<p>alert(1)</p>'
+  );
+  assert.equal(render(data, '%release-notes:text'), 'Fixes\n\n- Dates in Safari\n\nalert(1)');
+  assert.equal(render(data, 'v%version  %release-notes:text'), 'v1.0.16 Fixes\n\n- Dates in Safari\n\nalert(1)');
+});
+
+test('keeps the line breaks of multi-line values in plain formats', () => {
+  const notes = { ...data, description: 'First line\n  indented line' };
+  assert.equal(render(notes, '%name:  %description', { escape: false }), 'get-details: First line\n  indented line');
+  assert.equal(render(notes, '%release-notes', { escape: false }), data.releaseNotes);
+});
+
+test('adds the placeholders of a source', () => {
+  const npm = { ...data, engines: { node: '>=18' }, unpackedSize: 1258291, deprecated: '' };
+  assert.equal(render(npm, '%node · %size|bytes%?deprecated[ · deprecated]', { source: 'npm' }), '&gt;=18 · 1.3 MB');
+  assert.equal(render(npm, '%node'), '%node');
+});
+
+test('repeats sections for list placeholders', () => {
+  const release = {
+    ...data,
+    assets: [
+      { name: 'a.zip', url: 'https://example.com/a.zip', size: 2048, downloads: 3 },
+      { name: 'b.tar.gz', url: 'https://example.com/b.tar.gz', size: 1024, downloads: 1 }
+    ]
+  };
+  assert.equal(
+    render(release, '%*assets[<a href="%url">%name</a> ]%name', { source: 'github' }),
+    '<a href="https://example.com/a.zip">a.zip</a> <a href="https://example.com/b.tar.gz">b.tar.gz</a> get-details'
+  );
+  assert.equal(render(release, '%assets', { source: 'github' }), 'a.zip, b.tar.gz');
+  assert.equal(render({ ...release, assets: [] }, '%?assets[files]%!assets[no files]', { source: 'github' }), 'no files');
+});
@@ -0,0 +1,344 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { configure, fetch as fetchDetails } from '../src/core.js';
+import { loadFixtures, createFetch } from './helpers.js';
+
+const fixtures = loadFixtures('npm', 'pypi', 'github', 'gitlab', 'crates', 'packagist', 'rubygems', 'maven', 'nuget', 'go', 'docker');
+let fetch;
+
+beforeEach(() => {
+  fetch = createFetch(fixtures);
+  configure({ fetch });
+});
+
+const load = (source, pkg, options) => fetchDetails(source, pkg, { cache: false, ...options });
+
+test('npm: normalizes the version dist-tagged latest', async () => {
+  const data = await load('npm', 'get-details');
+  assert.equal(data.version, '1.0.16');
+  assert.equal(data.name, 'get-details');
+  assert.equal(data.author, 'Frontend Layers');
+  assert.equal(data.license, 'MIT');
+  assert.equal(data.repository, 'git+https://github.com/frontend-layers/get-details.git');
+  assert.equal(data.releaseDate, '2024-05-21T08:30:00.000Z');
+  assert.equal(data.lastUpdate, '2024-06-18T15:42:10.511Z');
+  assert.equal(data.maintainers, 'andreyvolkov, frontend-layers');
+  assert.equal(data.keywords, 'latest, version, npm');
+  assert.equal(data.types, './index.d.ts');
+  assert.deepEqual(data.engines, { node: '>=18' });
+  assert.deepEqual(data.peerDependencies, { react: '>=17' });
+  assert.equal(data.unpackedSize, 1258291);
+  assert.equal(data.deprecated, '');
+  assert.deepEqual(data.downloads, { lastWeek: 1834, lastMonth: 7420 });
+});
+
+test('npm: resolves version specs, dist-tags and pre-releases', async () => {
+  assert.equal((await load('npm', 'get-details@~1.0.15 <1.0.16')).version, '1.0.15');
+  assert.equal((await load('npm', 'get-details', { version: 'next' })).version, '1.1.0-beta.1');
+  assert.equal((await load('npm', 'get-details', { prerelease: true })).version, '1.1.0-beta.1');
+});
+
+test('npm: pre-release pins and ranges that name a pre-release match it', async () => {
+  assert.equal((await load('npm', 'get-details@1.1.0-beta.1')).version, '1.1.0-beta.1');
+  assert.equal((await load('npm', 'get-details@=1.1.0-beta.1')).version, '1.1.0-beta.1');
+  assert.equal((await load('npm', 'get-details@^1.1.0-beta.0')).version, '1.1.0-beta.1');
+  // Only pre-releases of the named major.minor.patch
+  assert.equal((await load('npm', 'get-details@^1.0.0-beta.0')).version, '1.0.16');
+});
+
+test('npm: reads deprecation, typings and string authors, and keeps data when downloads fail', async () => {
+  const data = await load('npm', 'request');
+  assert.match(data.deprecated, /^request has been deprecated/);
+  assert.equal(data.types, './index.d.ts');
+  assert.equal(data.author, 'Mikeal Rogers <mikeal.rogers@gmail.com>');
+  assert.deepEqual(data.downloads, {});
+});
+
+test('npm: self-hosted registries are not asked for downloads', async () => {
+  await assert.rejects(load('npm', 'get-details', { baseUrl: 'https://npm.example.com' }), { type: 'network' });
+  assert.deepEqual(fetch.requests.map(request => request.url), ['https://npm.example.com/get-details']);
+});
+
+test('pypi: normalizes the project document', async () => {
+  const data = await load('pypi', 'requests');
+  assert.equal(data.version, '2.32.3');
+  assert.equal(data.description, 'Python HTTP for Humans.');
+  assert.equal(data.author, 'Kenneth Reitz');
+  assert.equal(data.homepage, 'https://requests.readthedocs.io');
+  assert.equal(data.repository, 'https://github.com/psf/requests');
+  assert.equal(data.releaseDate, '2024-05-29T15:37:47.027Z');
+  assert.equal(data.lastUpdate, '2024-06-10T09:00:00.000Z');
+  assert.equal(data.requiresPython, '>=3.8');
+  assert.deepEqual(data.pythonVersions, ['3.11', '3.12']);
+  assert.deepEqual(data.platforms, ['any']);
+  assert.equal(data.yanked, false);
+});
+
+test('pypi: loads the document of a pinned version and skips yanked releases', async () => {
+  const data = await load('pypi', 'requests@~2.31');
+  assert.equal(data.version, '2.31.0');
+  assert.equal(data.requiresPython, '>=3.7');
+  // The release list comes from the project document
+  assert.equal(data.lastUpdate, '2024-06-10T09:00:00.000Z');
+
+  await assert.rejects(load('pypi', 'requests@2.32.0'), { type: 'not-found', message: 'No version of requests matches "2.32.0"' });
+  assert.equal((await load('pypi', 'requests', { prerelease: true })).version, '3.0.0b1');
+});
+
+test('pypi: reads yanked versions, wheel platforms and labelled project URLs', async () => {
+  const data = await load('pypi', 'numpy');
+  assert.equal(data.yanked, true);
+  assert.equal(data.yankedReason, 'Broken wheels on macOS');
+  assert.deepEqual(data.platforms, ['manylinux_2_17_x86_64', 'manylinux2014_x86_64', 'win_amd64']);
+  assert.equal(data.homepage, 'https://numpy.org');
+  assert.equal(data.repository, 'https://github.com/numpy/numpy');
+});
+
+test('github: normalizes the latest release and the repository', async () => {
+  const data = await load('github', 'frontend-layers/get-details');
+  assert.equal(data.version, '1.0.16');
+  assert.equal(data.name, 'get-details');
+  assert.equal(data.owner, 'frontend-layers');
+  assert.equal(data.stars, 1530);
+  assert.equal(data.forks, 42);
+  assert.equal(data.license, 'MIT License');
+  assert.equal(data.language, 'JavaScript');
+  assert.equal(data.releaseDate, '2024-05-21T08:31:00.000Z');
+  assert.equal(data.releaseAuthor, 'andreyvolkov');
+  assert.equal(data.releaseUrl, 'https://github.com/frontend-layers/get-details/releases/tag/v1.0.16');
+  assert.equal(data.releaseNotes, '## Fixes\n\n- Dates in **Safari**');
+  assert.deepEqual(data.assets.map(asset => [asset.name, asset.size, asset.downloads]), [
+    ['get-details.min.js', 24576, 120],
+    ['get-details.zip', 1258291, 30]
+  ]);
+  assert.deepEqual(data.downloads, { total: 150 });
+  assert.deepEqual(data.releases, []);
+});
+
+test('github: picks from the release list, skipping drafts and pre-releases', async () => {
+  const data = await load('github', 'frontend-layers/get-details', { releases: 5 });
+  assert.equal(data.version, '1.0.16');
+  assert.deepEqual(data.releases.map(release => [release.tag, release.name]), [['v1.0.16', 'v1.0.16'], ['v1.0.15', 'v1.0.15']]);
+
+  const preview = await load('github', 'frontend-layers/get-details@beta');
+  assert.equal(preview.version, '1.1.0-beta.1');
+  assert.equal((await load('github', 'frontend-layers/get-details', { prerelease: true })).version, '1.1.0-beta.1');
+});
+
+test('github: falls back to tags for repositories without releases', async () => {
+  const data = await load('github', 'frontend-layers/tags-only');
+  assert.equal(data.version, '2.1.0');
+  assert.equal(data.releaseDate, '2024-04-02T11:30:00.000Z');
+  assert.equal(data.releaseAuthor, 'octocat');
+  assert.equal(data.releaseUrl, 'https://github.com/frontend-layers/tags-only/tree/v2.1.0');
+  assert.equal(data.description, '');
+  assert.equal(data.license, '');
+  assert.equal(data.downloads, undefined);
+});
+
+test('gitlab: normalizes the newest release that is not upcoming', async () => {
+  const data = await load('gitlab', 'gitlab-org/cli', { releases: 2 });
+  assert.equal(data.version, '1.41.0');
+  assert.equal(data.name, 'cli');
+  assert.equal(data.fullName, 'gitlab-org/cli');
+  assert.equal(data.owner, 'GitLab.org');
+  assert.equal(data.stars, 812);
+  assert.equal(data.homepage, 'https://gitlab.com/gitlab-org/cli');
+  assert.equal(data.releaseAuthor, 'Kai Armstrong');
+  assert.equal(data.releaseUrl, 'https://gitlab.com/gitlab-org/cli/-/releases/v1.41.0');
+  assert.deepEqual(data.assets.map(asset => [asset.name, asset.contentType]), [
+    ['glab_1.41.0_Linux_x86_64.tar.gz', 'package'],
+    ['checksums.txt', 'other']
+  ]);
+  assert.deepEqual(data.releases.map(release => release.version), ['1.41.0', '1.40.0']);
+  assert.equal(data.downloads, undefined);
+
+  assert.equal((await load('gitlab', 'gitlab-org/cli', { prerelease: true })).version, '1.42.0');
+});
+
+test('gitlab: encodes nested group paths and falls back to tags', async () => {
+  const data = await load('gitlab', 'group/subgroup/tags-only');
+  assert.equal(data.version, '0.3.0');
+  assert.equal(data.releaseDate, '2024-03-03T07:59:00.000Z');
+  assert.equal(data.releaseNotes, 'Release 0.3.0');
+  assert.equal(data.releaseUrl, 'https://gitlab.com/group/subgroup/tags-only/-/tags/0.3.0');
+});
+
+test('crates: normalizes the newest stable version', async () => {
+  const data = await load('crates', 'serde');
+  assert.equal(data.version, '1.0.203');
+  assert.equal(data.name, 'serde');
+  assert.equal(data.author, 'David Tolnay');
+  assert.equal(data.license, 'MIT OR Apache-2.0');
+  assert.equal(data.homepage, 'https://serde.rs');
+  assert.equal(data.repository, 'https://github.com/serde-rs/serde');
+  assert.equal(data.keywords, 'serde, serialization, no_std');
+  assert.equal(data.releaseDate, '2024-05-25T18:04:10.518Z');
+  assert.deepEqual(data.downloads, { total: 412345678, recent: 54321000 });
+});
+
+test('crates: resolves version specs and skips yanked versions', async () => {
+  const data = await load('crates', 'serde@<1.0.203');
+  assert.equal(data.version, '1.0.201');
+  assert.equal(data.author, 'dtolnay');
+  assert.equal((await load('crates', 'serde', { prerelease: true })).version, '1.0.204-rc.1');
+});
+
+test('crates: missing crates are not-found errors', async () => {
+  await assert.rejects(load('crates', 'no-such-crate'), { type: 'not-found', status: 404 });
+});
+
+test('packagist: expands the minified releases and picks the newest', async () => {
+  const data = await load('packagist', 'monolog/monolog');
+  assert.equal(data.version, '3.7.0');
+  assert.equal(data.name, 'monolog/monolog');
+  assert.equal(data.author, 'Jordi Boggiano');
+  assert.equal(data.license, 'MIT');
+  assert.equal(data.repository, 'https://github.com/Seldaek/monolog.git');
+  assert.equal(data.lastUpdate, '2024-06-28T09:40:51.000Z');
+  assert.equal(data.dependencies, 2);
+
+  // Older releases inherit unchanged fields and drop "__unset" ones
+  const previous = await load('packagist', 'monolog/monolog@^2');
+  assert.equal(previous.version, '2.9.3');
+  assert.equal(previous.description, data.description);
+  assert.equal(previous.keywords, '');
+});
+
+test('packagist: prefers the newest stable release over a newer release candidate', async () => {
+  const data = await load('packagist', 'acme/rc-first');
+  assert.equal(data.version, '2.5.0');
+  assert.equal(data.lastUpdate, '2024-05-02T10:00:00.000Z');
+  assert.equal((await load('packagist', 'acme/rc-first', { prerelease: true })).version, '3.0.0-RC1');
+});
+
+test('packagist: missing packages are not-found errors', async () => {
+  await assert.rejects(load('packagist', 'acme/no-such-package'), { type: 'not-found', status: 404 });
+});
+
+test('rubygems: normalizes the gem document', async () => {
+  const data = await load('rubygems', 'rails');
+  assert.equal(data.version, '7.1.3.4');
+  assert.equal(data.author, 'David Heinemeier Hansson');
+  assert.equal(data.license, 'MIT');
+  assert.equal(data.homepage, 'https://rubyonrails.org');
+  assert.equal(data.repository, 'https://github.com/rails/rails/tree/v7.1.3.4');
+  assert.equal(data.lastUpdate, '2024-06-04T16:48:33.146Z');
+  assert.equal(data.dependencies, 3);
+  assert.deepEqual(data.downloads, { total: 512345678 });
+});
+
+test('rubygems, maven and docker: version specs are unsupported instead of showing the latest version', async () => {
+  await assert.rejects(load('rubygems', 'rails@7.0.8'), { type: 'unsupported', message: 'RubyGems only provides the latest version of rails, not "7.0.8"' });
+  await assert.rejects(load('maven', 'com.google.guava:guava', { version: '^32' }), { type: 'unsupported' });
+  await assert.rejects(load('docker', 'nginx@1.26'), { type: 'unsupported' });
+  assert.equal((await load('rubygems', 'rails@latest')).version, '7.1.3.4');
+  assert.equal(fetch.requests.length, 1);
+});
+
+test('rubygems: missing gems are not-found errors', async () => {
+  await assert.rejects(load('rubygems', 'no-such-gem'), { type: 'not-found', status: 404 });
+});
+
+test('maven: normalizes the search result', async () => {
+  const data = await load('maven', 'com.google.guava:guava');
+  assert.equal(data.version, '33.2.1-jre');
+  assert.equal(data.name, 'guava');
+  assert.equal(data.fullName, 'com.google.guava:guava');
+  assert.equal(data.owner, 'com.google.guava');
+  assert.equal(data.lastUpdate, '2024-06-06T17:00:00.000Z');
+});
+
+test('maven: artifacts the search does not find are not-found errors', async () => {
+  await assert.rejects(load('maven', 'com.example:missing'), { type: 'not-found', message: 'Artifact com.example:missing not found' });
+});
+
+test('nuget: reads linked registration pages and prefers stable versions', async () => {
+  const data = await load('nuget', 'Newtonsoft.Json');
+  assert.equal(data.version, '13.0.3');
+  assert.equal(data.name, 'Newtonsoft.Json');
+  assert.equal(data.author, 'James Newton-King');
+  assert.equal(data.license, 'MIT');
+  assert.equal(data.homepage, 'https://www.newtonsoft.com/json');
+  assert.equal(data.lastUpdate, '2023-03-08T07:42:54.647Z');
+  assert.equal(data.keywords, 'json');
+  assert.equal((await load('nuget', 'Newtonsoft.Json', { prerelease: true })).version, '14.0.1-beta1');
+});
+
+test('nuget: reads earlier registration pages for stable versions and version specs', async () => {
+  assert.equal((await load('nuget', 'Contoso.Paged')).version, '1.1.0');
+  assert.equal((await load('nuget', 'Contoso.Paged@1.0.0')).version, '1.0.0');
+  assert.equal((await load('nuget', 'Contoso.Paged@2.0.0-beta.1')).version, '2.0.0-beta.1');
+  assert.equal((await load('nuget', 'Contoso.Paged', { prerelease: true })).version, '2.0.0-beta.2');
+});
+
+test('nuget: missing packages are not-found errors', async () => {
+  await assert.rejects(load('nuget', 'No.Such.Package'), { type: 'not-found', status: 404 });
+});
+
+test('go: escapes uppercase letters in module paths', async () => {
+  const data = await load('go', 'github.com/BurntSushi/toml');
+  assert.equal(data.version, '1.4.0');
+  assert.equal(data.name, 'toml');
+  assert.equal(data.fullName, 'github.com/BurntSushi/toml');
+  assert.equal(data.homepage, 'https://pkg.go.dev/github.com/BurntSushi/toml');
+  assert.equal(data.repository, 'https://github.com/BurntSushi/toml');
+  assert.equal(data.releaseDate, '2024-06-06T11:21:49.000Z');
+});
+
+test('go: resolves version specs and pre-releases against the version list', async () => {
+  const data = await load('go', 'github.com/BurntSushi/toml@~1.3');
+  assert.equal(data.version, '1.3.2');
+  assert.equal(data.releaseDate, '2023-06-08T06:06:27.000Z');
+  assert.equal((await load('go', 'github.com/BurntSushi/toml', { prerelease: true })).version, '1.5.0-rc.1');
+  await assert.rejects(load('go', 'github.com/BurntSushi/toml@^2'), { type: 'not-found', message: 'No version of github.com/BurntSushi/toml matches "^2"' });
+});
+
+test('go: missing modules are not-found errors', async () => {
+  await assert.rejects(load('go', 'example.com/no/such/module'), { type: 'not-found', status: 404 });
+});
+
+test('docker: picks the newest version tag of official images', async () => {
+  const data = await load('docker', 'nginx');
+  assert.equal(data.version, '1.27.0');
+  assert.equal(data.fullName, 'library/nginx');
+  assert.equal(data.homepage, 'https://hub.docker.com/_/nginx');
+  assert.equal(data.stars, 20123);
+  assert.equal(data.releaseDate, '2024-06-19T22:10:00.000Z');
+  assert.deepEqual(data.downloads, { total: 1000000000 });
+});
+
+test('docker: missing images are not-found errors', async () => {
+  await assert.rejects(load('docker', 'acme/missing'), { type: 'not-found', status: 404 });
+});
+
+test('sources send the configured token', async () => {
+  configure({ tokens: { github: 'test-token' } });
+  try {
+    await load('github', 'frontend-layers/get-details');
+  } finally {
+    configure({ tokens: { github: null } });
+  }
+  assert.ok(fetch.requests.every(request => request.headers.Authorization === 'Bearer test-token'));
+});
+
+test('configured tokens only go to the default API and configured base URLs', async () => {
+  configure({ tokens: { github: 'test-token' }, baseUrls: { github: 'https://github.example.com/api/v3' } });
+  try {
+    await load('github', 'a/b').catch(() => {});
+    await load('github', 'a/b', { baseUrl: 'https://api.github.com' }).catch(() => {});
+    await load('github', 'a/b', { baseUrl: 'https://attacker.example' }).catch(() => {});
+    await load('github', 'a/b', { baseUrl: 'https://attacker.example', token: 'own-token' }).catch(() => {});
+  } finally {
+    configure({ tokens: { github: null }, baseUrls: { github: '' } });
+  }
+  assert.deepEqual(
+    [...new Set(fetch.requests.map(request => `${new URL(request.url).origin} ${request.headers.Authorization}`))],
+    [
+      'https://github.example.com Bearer test-token',
+      'https://api.github.com Bearer test-token',
+      'https://attacker.example undefined',
+      'https://attacker.example Bearer own-token'
+    ]
+  );
+});